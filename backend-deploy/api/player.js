@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { get, all, run } = require('../database-postgres');
 const { verifyToken } = require('../auth');
+const { DEFAULT_RATING, getRating, getRatingHistory } = require('../ratings');
 
 // All routes require authentication
 router.use(verifyToken);
@@ -47,6 +48,7 @@ router.get('/data', async (req, res) => {
             totalGames: gameStats.total_games || 0,
             wins: gameStats.wins || 0,
             losses: gameStats.losses || 0,
+            draws: gameStats.draws || 0,
             winStreak: gameStats.win_streak || 0,
             lossStreak: gameStats.loss_streak || 0,
             bestWinStreak: gameStats.best_win_streak || 0,
@@ -58,7 +60,13 @@ router.get('/data', async (req, res) => {
             averageGameLength: gameStats.average_game_length || 0,
             quickestWin: gameStats.quickest_win || 999,
             longestGame: gameStats.longest_game || 0,
-            difficultyLevel: gameStats.difficulty_level || 'beginner'
+            difficultyLevel: gameStats.difficulty_level || 'beginner',
+            rating: gameStats.rating || DEFAULT_RATING,
+            ratedGames: gameStats.rated_games || 0,
+            botGames: gameStats.bot_games || 0,
+            botWins: gameStats.bot_wins || 0,
+            botLosses: gameStats.bot_losses || 0,
+            botDraws: gameStats.bot_draws || 0
         } : {};
 
         // Get store rotation (PostgreSQL syntax)
@@ -155,4 +163,32 @@ router.post('/daily-reward', async (req, res) => {
     }
 });
 
+// Get ranked rating and rating history
+router.get('/rating', async (req, res) => {
+    try {
+        const userId = req.userId;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        const { rating, ratedGames } = await getRating(userId);
+        const history = await getRatingHistory(userId, limit);
+
+        res.json({
+            rating,
+            ratedGames,
+            history: history.map(entry => ({
+                matchId: entry.match_id,
+                opponentName: entry.opponent_name,
+                result: entry.result,
+                ratingBefore: entry.rating_before,
+                ratingAfter: entry.rating_after,
+                change: entry.rating_after - entry.rating_before,
+                playedAt: entry.created_at
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching rating:', error);
+        res.status(500).json({ error: 'Failed to fetch rating' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -178,8 +178,33 @@ function verifyToken(req, res, next) {
     });
 }
 
+// Verify JWT token for Socket.io handshakes (io.use middleware)
+// Clients pass the same token as the REST API in handshake.auth.token or an
+// Authorization header. Sockets without a token may connect but stay anonymous.
+function verifySocketToken(socket, next) {
+    const authHeader = socket.handshake.headers['authorization'];
+    const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+    if (!token) {
+        socket.userId = null;
+        socket.username = null;
+        return next();
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, decoded) => {
+        if (err) {
+            return next(new Error('Invalid or expired token'));
+        }
+
+        socket.userId = decoded.userId;
+        socket.username = decoded.username;
+        next();
+    });
+}
+
 module.exports = {
     registerUser,
     loginUser,
-    verifyToken
+    verifyToken,
+    verifySocketToken
 };
@@ -109,6 +109,129 @@ async function initializeDatabase() {
             )
         `);
 
+        // Ranked rating columns (added after game_stats shipped)
+        await client.query(`
+            ALTER TABLE game_stats
+                ADD COLUMN IF NOT EXISTS rating INTEGER DEFAULT 1200,
+                ADD COLUMN IF NOT EXISTS rated_games INTEGER DEFAULT 0
+        `);
+
+        // Bot backfill results are kept apart from the main record
+        await client.query(`
+            ALTER TABLE game_stats
+                ADD COLUMN IF NOT EXISTS bot_games INTEGER DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS bot_wins INTEGER DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS bot_losses INTEGER DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS bot_draws INTEGER DEFAULT 0
+        `);
+
+        // Drawn server matches (matches.end_reason = 'draw')
+        await client.query(`
+            ALTER TABLE game_stats
+                ADD COLUMN IF NOT EXISTS draws INTEGER DEFAULT 0
+        `);
+
+        // Rating history table (one row per player per rated match)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS rating_history (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                match_id TEXT NOT NULL,
+                opponent_id INTEGER,
+                rating_before INTEGER NOT NULL,
+                rating_after INTEGER NOT NULL,
+                result TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Matches table (server-recorded multiplayer results)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS matches (
+                id TEXT PRIMARY KEY,
+                mode TEXT NOT NULL,
+                player1_id INTEGER,
+                player2_id INTEGER,
+                winner_id INTEGER,
+                rewards_paid BOOLEAN DEFAULT false,
+                started_at TIMESTAMP,
+                ended_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (player1_id) REFERENCES users(id) ON DELETE SET NULL,
+                FOREIGN KEY (player2_id) REFERENCES users(id) ON DELETE SET NULL
+            )
+        `);
+
+        // Per-player statistics and rewards for each recorded match
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS match_participants (
+                id SERIAL PRIMARY KEY,
+                match_id TEXT NOT NULL,
+                user_id INTEGER NOT NULL,
+                player_index INTEGER NOT NULL,
+                won BOOLEAN NOT NULL,
+                damage_dealt INTEGER DEFAULT 0,
+                damage_taken INTEGER DEFAULT 0,
+                cards_played INTEGER DEFAULT 0,
+                mana_spent INTEGER DEFAULT 0,
+                gold_reward INTEGER DEFAULT 0,
+                gems_reward INTEGER DEFAULT 0,
+                FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE(match_id, user_id)
+            )
+        `);
+
+        // Match history columns
+        await client.query(`
+            ALTER TABLE matches
+                ADD COLUMN IF NOT EXISTS turn_count INTEGER,
+                ADD COLUMN IF NOT EXISTS duration_seconds INTEGER,
+                ADD COLUMN IF NOT EXISTS end_reason TEXT,
+                ADD COLUMN IF NOT EXISTS seed BIGINT,
+                ADD COLUMN IF NOT EXISTS variant TEXT,
+                ADD COLUMN IF NOT EXISTS winner_index INTEGER
+        `);
+
+        await client.query(`
+            ALTER TABLE match_participants
+                ADD COLUMN IF NOT EXISTS deck JSONB
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_match_participants_user ON match_participants(user_id)
+        `);
+
+        // Snapshots of in-progress server matches, so a restarted server can resume them
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS game_snapshots (
+                match_id TEXT PRIMARY KEY,
+                mode TEXT NOT NULL,
+                match JSONB NOT NULL,
+                state JSONB NOT NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Match replays (seed + starting decks + action log, re-simulated on demand)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS match_replays (
+                match_id TEXT PRIMARY KEY,
+                version INTEGER NOT NULL,
+                seed BIGINT NOT NULL,
+                decks JSONB NOT NULL,
+                actions JSONB NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Engine options (mulligan, compensation card) - from replay version 2
+        await client.query(`
+            ALTER TABLE match_replays
+                ADD COLUMN IF NOT EXISTS options JSONB
+        `);
+
         // Transactions table
         await client.query(`
             CREATE TABLE IF NOT EXISTS transactions (
@@ -291,44 +414,68 @@ async function initializeDatabase() {
     }
 }
 
-// Helper functions for database operations
-const dbHelpers = {
-    // Run a query (INSERT/UPDATE/DELETE)
-    run: async (sql, params = []) => {
-        // Convert ? placeholders to $1, $2, etc.
-        let paramIndex = 1;
-        const pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
-        
-        const result = await pool.query(pgSql, params);
-        
-        // If RETURNING was used, return the row, otherwise return metadata
-        if (result.rows && result.rows.length > 0) {
-            return result.rows[0]; // Return the row with RETURNING data
+// Query helpers with ? placeholders, for the pool or a single connection
+function createQueryHelpers(db) {
+    return {
+        // Run a query (INSERT/UPDATE/DELETE)
+        run: async (sql, params = []) => {
+            // Convert ? placeholders to $1, $2, etc.
+            let paramIndex = 1;
+            const pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
+            
+            const result = await db.query(pgSql, params);
+            
+            // If RETURNING was used, return the row, otherwise return metadata
+            if (result.rows && result.rows.length > 0) {
+                return result.rows[0]; // Return the row with RETURNING data
+            }
+            
+            return { 
+                changes: result.rowCount 
+            };
+        },
+
+        // Get a single row
+        get: async (sql, params = []) => {
+            // Convert ? placeholders to $1, $2, etc.
+            let paramIndex = 1;
+            const pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
+            
+            const result = await db.query(pgSql, params);
+            return result.rows[0] || null;
+        },
+
+        // Get multiple rows
+        all: async (sql, params = []) => {
+            // Convert ? placeholders to $1, $2, etc.
+            let paramIndex = 1;
+            const pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
+            
+            const result = await db.query(pgSql, params);
+            return result.rows;
         }
-        
-        return { 
-            changes: result.rowCount 
-        };
-    },
+    };
+}
 
-    // Get a single row
-    get: async (sql, params = []) => {
-        // Convert ? placeholders to $1, $2, etc.
-        let paramIndex = 1;
-        const pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
-        
-        const result = await pool.query(pgSql, params);
-        return result.rows[0] || null;
-    },
+// Helper functions for database operations
+const dbHelpers = {
+    ...createQueryHelpers(pool),
 
-    // Get multiple rows
-    all: async (sql, params = []) => {
-        // Convert ? placeholders to $1, $2, etc.
-        let paramIndex = 1;
-        const pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
-        
-        const result = await pool.query(pgSql, params);
-        return result.rows;
+    // Run work(tx) in one transaction. tx has the same run/get/all helpers, bound to
+    // the transaction's connection. Commits when work resolves, rolls back if it throws.
+    withTransaction: async (work) => {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await work(createQueryHelpers(client));
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
     },
 
     // Begin transaction
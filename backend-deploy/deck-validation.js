@@ -0,0 +1,115 @@
+// Deck building rules, shared by the REST deck check (/api/game/validate-deck)
+// and multiplayer match setup, which refuses decks that break them
+const { all } = require('./database-postgres');
+const { cardsByName } = require('./api/cards-data');
+
+// v3.0: Validate deck color rules (deck: card templates from the server's card database)
+function validateDeckColors(deck, deckSize = 30) {
+    // RULE 1: Exactly deckSize cards (30 outside of rule variants)
+    if (deck.length !== deckSize) {
+        return { valid: false, error: `Deck must have exactly ${deckSize} cards` };
+    }
+
+    // Count main colors and splash cards
+    const mainColors = new Set();
+    const splashCards = [];
+    const cardCount = {};
+
+    for (const card of deck) {
+        // Track card counts (max 2 regular, max 1 legendary)
+        cardCount[card.name] = (cardCount[card.name] || 0) + 1;
+
+        if (card.rarity === 'legendary' && cardCount[card.name] > 1) {
+            return { valid: false, error: `Too many copies of legendary ${card.name}` };
+        }
+        if (card.rarity !== 'legendary' && cardCount[card.name] > 2) {
+            return { valid: false, error: `Too many copies of ${card.name} (max 2)` };
+        }
+
+        // Skip colorless and The Nexus (counts as colorless for deck building)
+        if (card.color && card.color.includes('colorless')) continue;
+
+        // Categorize by splash vs main
+        if (card.splashFriendly) {
+            splashCards.push(card);
+        } else {
+            const colors = (card.color || '').split('-');
+            colors.forEach(c => mainColors.add(c));
+        }
+    }
+
+    // RULE 2: Max 2 main colors
+    if (mainColors.size > 2) {
+        return {
+            valid: false,
+            error: `Too many colors: ${Array.from(mainColors).join(', ')}. Max 2 allowed.`
+        };
+    }
+
+    // RULE 3: Max 3 splash cards
+    if (splashCards.length > 3) {
+        return { valid: false, error: `Too many splash cards (${splashCards.length}). Max 3 allowed.` };
+    }
+
+    // RULE 4: Splash cards must be 3rd color
+    for (const card of splashCards) {
+        if (mainColors.has(card.color)) {
+            return {
+                valid: false,
+                error: `${card.name} cannot be splash - it's a main color`
+            };
+        }
+    }
+
+    return { valid: true };
+}
+
+// Check a deck a player wants to play: size, known cards, copy limits, color
+// rules and ownership (owned_cards). deck is the client's list of { name } entries.
+// Returns { valid: true, cards } with the cards rebuilt from the server's card
+// database (so clients can't inject their own stats or abilities),
+// or { valid: false, status, error } with the HTTP status to answer with
+async function validateDeck(userId, deck, deckSize = 30) {
+    if (!Array.isArray(deck) || deck.length !== deckSize) {
+        return { valid: false, status: 400, error: `Deck must contain exactly ${deckSize} cards` };
+    }
+
+    const cards = [];
+    for (const card of deck) {
+        const template = card && cardsByName[card.name];
+        if (!template) {
+            return { valid: false, status: 400, error: `Unknown card: ${card && card.name}` };
+        }
+        cards.push({ ...template });
+    }
+
+    const colorValidation = validateDeckColors(cards, deckSize);
+    if (!colorValidation.valid) {
+        return { valid: false, status: 400, error: colorValidation.error };
+    }
+
+    // Verify player owns all cards in deck
+    const ownedCards = await all(
+        'SELECT card_name, count FROM owned_cards WHERE user_id = ?',
+        [userId]
+    );
+    const ownedCardsMap = {};
+    ownedCards.forEach(card => {
+        ownedCardsMap[card.card_name] = card.count;
+    });
+
+    const cardCounts = {};
+    for (const card of cards) {
+        cardCounts[card.name] = (cardCounts[card.name] || 0) + 1;
+        if (!ownedCardsMap[card.name] || cardCounts[card.name] > ownedCardsMap[card.name]) {
+            return { valid: false, status: 403, error: `You don't own enough copies of ${card.name}` };
+        }
+    }
+
+    return { valid: true, cards };
+}
+
+module.exports = {
+    validateDeckColors,
+    validateDeck
+};
@@ -1,4 +1,6 @@
 // Server-side Card Class - Node.js compatible version of src/js/game/Card.js
+const { hasKeyword } = require('./abilities.js');
+
 class Card {
     constructor(template) {
         // Version check (only log once)
@@ -15,7 +17,6 @@ class Card {
         this.id = this.id || Math.random().toString(36).substr(2, 9);
         this.frozen = this.frozen ?? false;
         this.hasAttackedThisTurn = this.hasAttackedThisTurn ?? false;
-        this.doubleStrikeUsed = this.doubleStrikeUsed ?? false;
         this.windfuryUsed = this.windfuryUsed ?? false;
         this.canOnlyAttackCreatures = this.canOnlyAttackCreatures ?? false;
         this.stealth = this.stealth ?? false;
@@ -27,23 +28,25 @@ class Card {
         this.taunt = this.taunt ?? false;
         this.instantKill = this.instantKill ?? false;
         this.enraged = this.enraged ?? false; // Track if Enrage has triggered
+        this.cannotAttack = this.cannotAttack ?? false;
         
-        // Initialize some abilities as properties
-        if (this.ability === 'Taunt') {
-            this.taunt = true;
-        }
-        if (this.ability === 'Vigilance') {
-            this.vigilance = true;
-        }
-        if (this.ability === 'Stealth') {
-            this.stealth = true;
-        }
-        if (this.ability === 'Divine Shield') {
-            this.divineShield = true;
-        }
-        if (this.ability === 'Spell Shield') {
-            this.spellShield = true;
-        }
+        // Initialize keyword abilities as properties (works for compound text like "Taunt. Regenerate")
+        this.taunt = this.taunt || hasKeyword(this, 'taunt');
+        this.vigilance = this.vigilance || hasKeyword(this, 'vigilance');
+        this.stealth = this.stealth || hasKeyword(this, 'stealth');
+        this.divineShield = this.divineShield || hasKeyword(this, 'divineShield');
+        this.spellShield = this.spellShield || hasKeyword(this, 'spellShield');
+        this.cannotAttack = this.cannotAttack || hasKeyword(this, 'cannotAttack');
+    }
+
+    // Plain copy of the card including runtime state (tapped, frozen, buffs, ...)
+    toJSON() {
+        return { ...this };
+    }
+
+    // Rebuild a card from toJSON() output as-is - the constructor would re-derive flags
+    static fromJSON(data) {
+        return Object.assign(Object.create(Card.prototype), data);
     }
 
     clone() {
@@ -67,13 +70,12 @@ class Card {
             this.tapped = false;
         }
         this.hasAttackedThisTurn = false;
-        this.doubleStrikeUsed = false;
         this.windfuryUsed = false;
         this.canOnlyAttackCreatures = false;
         this.tempImmune = false;
         
         // Handle regenerate
-        if (this.ability === 'Regenerate') {
+        if (hasKeyword(this, 'regenerate')) {
             this.health = this.maxHealth;
         }
     }
@@ -95,13 +97,13 @@ class Card {
         this.health -= actualDamage;
         
         // Handle enrage - triggers only once, the first time creature takes damage
-        if (this.ability === 'Enrage' && actualDamage > 0 && this.health > 0 && !this.enraged) {
+        if (hasKeyword(this, 'enrage') && actualDamage > 0 && this.health > 0 && !this.enraged) {
             console.log(`[ENRAGE DEBUG] ${this.name} triggering Enrage!`);
             console.log(`[ENRAGE DEBUG] Attack before: ${this.attack}`);
             this.attack += 2;
             console.log(`[ENRAGE DEBUG] Attack after: ${this.attack}`);
             this.enraged = true; // Track that enrage has triggered
-        } else if (this.ability === 'Enrage') {
+        } else if (hasKeyword(this, 'enrage')) {
             console.log(`[ENRAGE DEBUG] ${this.name} has Enrage but conditions not met:`);
             console.log(`[ENRAGE DEBUG] - actualDamage: ${actualDamage}`);
             console.log(`[ENRAGE DEBUG] - health: ${this.health}`);
@@ -113,12 +115,12 @@ class Card {
 
     // Check if creature can attack
     canAttack() {
-        return !this.tapped && !this.frozen && !this.hasAttackedThisTurn;
+        return !this.cannotAttack && !this.tapped && !this.frozen && !this.hasAttackedThisTurn;
     }
 
     // Mark as having attacked
     markAttacked() {
-        // All creatures can only attack once per turn (except Windfury/Double Strike)
+        // All creatures can only attack once per turn (except Windfury)
         this.hasAttackedThisTurn = true;
         
         // Vigilance creatures stay untapped but still marked as having attacked
@@ -127,7 +129,7 @@ class Card {
         }
 
         // Handle special attack abilities
-        if (this.ability === 'Windfury') {
+        if (hasKeyword(this, 'windfury')) {
             if (!this.windfuryUsed) {
                 // First attack with Windfury
                 this.tapped = false; // Can attack again
@@ -140,16 +142,6 @@ class Card {
                     this.tapped = true;
                 }
             }
-        } else if (this.ability === 'Double Strike' && !this.doubleStrikeUsed) {
-            this.doubleStrikeUsed = true;
-            this.hasAttackedThisTurn = false; // Can attack once more
-            this.tapped = false;
-        } else if (this.ability === 'Double Strike' && this.doubleStrikeUsed) {
-            // Second strike done
-            this.hasAttackedThisTurn = true;
-            if (!this.vigilance) {
-                this.tapped = true;
-            }
         }
     }
 
@@ -0,0 +1,54 @@
+// Typed game event model for ServerGame
+// Every event: { seq, type, turn, activePlayer, source, targets, amount, ...details }
+//   source/targets are refs: { kind: 'card', playerIndex, cardId, name } or { kind: 'hero', playerIndex }
+//   amount is the damage/heal/cost/etc. number for the event (null when not applicable)
+
+const EVENT_TYPES = {
+    CARD_DRAWN: 'cardDrawn',           // source: drawn card (private to the drawing player)
+    MULLIGAN: 'mulligan',              // targets: hero, amount: cards sent back
+    CARD_GIVEN: 'cardGiven',           // source: card put into hand without a draw (compensation card)
+    CARD_BURNED: 'cardBurned',         // source: card that didn't fit in a full hand (public), targets: its owner
+    FATIGUE: 'fatigue',                // targets: hero drawing from an empty deck, amount: damage
+    CARD_PLAYED: 'cardPlayed',         // source: card, amount: mana cost
+    SPELL_CAST: 'spellCast',           // source: spell, targets: chosen target(s)
+    SUMMON: 'summon',                  // source: summoning card (or null), targets: new creature
+    ATTACK: 'attack',                  // source: attacker, targets: defender creature or hero
+    DAMAGE: 'damage',                  // source: card (or null), targets: damaged character, amount
+    HEAL: 'heal',                      // source: card, targets: healed character, amount
+    BUFF: 'buff',                      // source: card, targets: buffed creatures, attack/health deltas
+    FREEZE: 'freeze',                  // source: card, targets: frozen creature
+    SHIELD_BROKEN: 'shieldBroken',     // targets: creature whose Divine Shield popped
+    DAMAGE_PREVENTED: 'damagePrevented', // targets: immune creature
+    ENRAGE: 'enrage',                  // source: enraged creature
+    STEALTH_LOST: 'stealthLost',       // source: creature revealing itself
+    DESTROY: 'destroy',                // source: card with a destroy effect, targets: destroyed creature
+    CREATURE_DIED: 'creatureDied',     // source: dead creature
+    ABILITY_TRIGGERED: 'abilityTriggered', // source: card, ability: trigger text
+    RETURN_TO_HAND: 'returnToHand',    // source: card returned to its owner's hand
+    TURN_START: 'turnStart',           // targets: active hero, mana/maxMana
+    TURN_END: 'turnEnd',               // targets: hero ending the turn
+    GAME_OVER: 'gameOver'              // winner (null for a draw), reason (see ServerGame.endReason)
+};
+
+function cardRef(card, playerIndex) {
+    return { kind: 'card', playerIndex, cardId: card.id, name: card.name };
+}
+
+function heroRef(playerIndex) {
+    return { kind: 'hero', playerIndex };
+}
+
+// Copy of an event as seen by `viewerIndex` - hides cards drawn by the other player
+function redactEvent(event, viewerIndex) {
+    if (event.privateTo === undefined || event.privateTo === viewerIndex) {
+        return event;
+    }
+    return { ...event, source: null };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    cardRef,
+    heroRef,
+    redactEvent
+};
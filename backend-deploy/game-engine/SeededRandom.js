@@ -0,0 +1,57 @@
+// Seedable pseudo-random number generator (mulberry32) for the game engine
+// Every random decision in a ServerGame goes through one of these so that the
+// same seed + action list always replays into exactly the same game.
+const crypto = require('crypto');
+
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Fresh 32-bit seed for a new game
+    static generateSeed() {
+        return crypto.randomBytes(4).readUInt32BE(0);
+    }
+
+    // Float in [0, 1) - drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [0, max)
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    // Random element of an array (undefined if empty)
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    // Fisher-Yates shuffle in place
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    // Generator position for snapshots - fromJSON resumes the exact sequence
+    toJSON() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    static fromJSON(data) {
+        const rng = new SeededRandom(data.seed);
+        rng.state = data.state >>> 0;
+        return rng;
+    }
+}
+
+module.exports = SeededRandom;
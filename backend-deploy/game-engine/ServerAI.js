@@ -0,0 +1,186 @@
+// Server-side AI player - picks moves through ServerGame.getLegalActions
+// Each move is scored by playing it out on a silent copy of the game (ServerGame.clone)
+// and evaluating the resulting board. Difficulty controls how often the AI blunders,
+// how well it values the board and how far it looks ahead within its own turn.
+const SeededRandom = require('./SeededRandom.js');
+const { hasKeyword, getAbilityDefinition } = require('./abilities.js');
+const { ALL_CARDS } = require('../api/cards-data.js');
+
+// mistakeRate: chance of a random legal move instead of the best one
+// passRate:    chance of ending the turn early while moves are left
+// depth:       moves looked ahead within the turn (beam = follow-ups searched per move)
+// smart:       keyword-aware board evaluation and lethal pressure
+const DIFFICULTIES = {
+    beginner: { mistakeRate: 0.5, passRate: 0.15, depth: 1, beam: 0, smart: false },
+    easy: { mistakeRate: 0.3, passRate: 0.05, depth: 1, beam: 0, smart: false },
+    normal: { mistakeRate: 0.1, passRate: 0, depth: 1, beam: 0, smart: false },
+    hard: { mistakeRate: 0, passRate: 0, depth: 1, beam: 0, smart: true },
+    expert: { mistakeRate: 0, passRate: 0, depth: 2, beam: 4, smart: true }
+};
+
+const WIN_SCORE = 100000;
+const END_TURN = { action: 'endTurn' };
+
+// Rarities an AI deck may contain at each difficulty
+const DECK_RARITIES = {
+    beginner: ['common'],
+    easy: ['common', 'rare'],
+    normal: ['common', 'rare', 'epic'],
+    hard: ['common', 'rare', 'epic', 'legendary'],
+    expert: ['common', 'rare', 'epic', 'legendary']
+};
+const COLORS = ['crimson', 'azure', 'verdant', 'umbral'];
+const DECK_SIZE = 30;
+const MAX_EXPENSIVE_CARDS = 5; // Cards costing 7+
+
+class ServerAI {
+    constructor(difficulty = 'normal', seed = SeededRandom.generateSeed()) {
+        this.difficulty = DIFFICULTIES[difficulty] ? difficulty : 'normal';
+        this.settings = DIFFICULTIES[this.difficulty];
+        this.rng = new SeededRandom(seed);
+    }
+
+    // Next action for `playerIndex`, in applyAction's format
+    chooseAction(game, playerIndex) {
+        if (game.phase === 'mulligan') {
+            return { action: 'mulligan', cardIndices: this.chooseMulligan(game, playerIndex) };
+        }
+
+        const moves = game.getLegalActions(playerIndex).filter(action => action.action !== 'endTurn');
+        if (moves.length === 0) {
+            return END_TURN;
+        }
+
+        if (this.rng.next() < this.settings.passRate) {
+            return END_TURN;
+        }
+        if (this.rng.next() < this.settings.mistakeRate) {
+            return this.rng.pick(moves);
+        }
+
+        const current = this.evaluate(game, playerIndex);
+        let best = null;
+        moves.forEach(action => {
+            const score = this.scoreAction(game, playerIndex, action, this.settings.depth);
+            if (!best || score > best.score) {
+                best = { action, score };
+            }
+        });
+
+        // Nothing improves the position - pass
+        return best.score > current ? best.action : END_TURN;
+    }
+
+    // Opening cards to send back: anything too expensive for the first turns.
+    // Smart AIs keep one big card when the rest of the hand is cheap.
+    chooseMulligan(game, playerIndex) {
+        const hand = game.players[playerIndex].hand;
+        const expensive = hand
+            .map((card, index) => ({ card, index }))
+            .filter(({ card }) => card.cost >= 5)
+            .sort((a, b) => b.card.cost - a.card.cost);
+
+        if (this.settings.smart && expensive.length === 1 && hand.filter(card => card.cost <= 2).length >= 2) {
+            return [];
+        }
+        return expensive.map(({ index }) => index);
+    }
+
+    // Value of the position after `action`, looking `depth` moves ahead within the turn
+    scoreAction(game, playerIndex, action, depth) {
+        const sim = game.clone();
+        if (!sim.applyAction(playerIndex, action)) {
+            return -Infinity;
+        }
+
+        const score = this.evaluate(sim, playerIndex);
+        if (depth <= 1 || sim.gameOver) {
+            return score;
+        }
+
+        // Search the most promising follow-ups only
+        const followUps = sim.getLegalActions(playerIndex)
+            .filter(next => next.action !== 'endTurn')
+            .map(next => ({ next, score: this.scoreAction(sim, playerIndex, next, 1) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.settings.beam);
+
+        return followUps.reduce(
+            (bestScore, { next }) => Math.max(bestScore, this.scoreAction(sim, playerIndex, next, depth - 1)),
+            score
+        );
+    }
+
+    // Board evaluation from `playerIndex`'s point of view (higher is better).
+    // Only public information is used - the opponent's hand counts by size alone.
+    evaluate(game, playerIndex) {
+        if (game.gameOver) {
+            if (game.winner === null) {
+                return 0;
+            }
+            return game.winner === playerIndex ? WIN_SCORE : -WIN_SCORE;
+        }
+
+        const me = game.players[playerIndex];
+        const opponent = game.players[1 - playerIndex];
+        const smart = this.settings.smart;
+
+        // Smart AIs push harder for damage as the opponent gets low
+        const pressure = smart && opponent.health <= 10 ? 2 : 1;
+        let score = me.health - opponent.health * pressure;
+
+        score += me.field.reduce((total, creature) => total + this.creatureValue(creature), 0);
+        score -= opponent.field.reduce((total, creature) => total + this.creatureValue(creature), 0) * (smart ? 1.2 : 1);
+        score += (me.hand.length - opponent.hand.length) * 0.5;
+
+        return score;
+    }
+
+    creatureValue(creature) {
+        let value = creature.attack + creature.health * 0.8;
+        if (!this.settings.smart) {
+            return value;
+        }
+
+        if (creature.taunt) value += 1.5;
+        if (creature.divineShield) value += creature.attack * 0.5;
+        if (creature.stealth) value += 1;
+        if (hasKeyword(creature, 'lifesteal')) value += creature.attack * 0.5;
+        if (hasKeyword(creature, 'poison')) value += 2;
+        if (hasKeyword(creature, 'windfury') || hasKeyword(creature, 'doubleStrike')) value += creature.attack * 0.5;
+        if (creature.cannotAttack) value -= creature.attack * 0.8;
+        return value;
+    }
+
+    // Random deck for an AI seat (30 cards unless the match rules say otherwise): one or
+    // two colors plus colorless, rarities limited by difficulty and cards whose abilities
+    // the engine fully runs
+    static buildDeck(difficulty = 'normal', seed = SeededRandom.generateSeed(), size = DECK_SIZE) {
+        const rng = new SeededRandom(seed);
+        const rarities = DECK_RARITIES[difficulty] || DECK_RARITIES.normal;
+        const colors = rng.shuffle([...COLORS]).slice(0, rng.nextInt(2) + 1);
+
+        const fits = card => !card.fullArt &&
+            rarities.includes(card.rarity) &&
+            getAbilityDefinition(card.ability || '').unsupported.length === 0 &&
+            (card.color || 'colorless').split('-').every(color => color === 'colorless' || colors.includes(color));
+        const pool = rng.shuffle(ALL_CARDS.filter(fits));
+
+        const deck = [];
+        let expensive = 0;
+        for (const card of pool) {
+            const copies = Math.min(card.rarity === 'legendary' ? 1 : 2, size - deck.length);
+            for (let i = 0; i < copies; i++) {
+                if (card.cost >= 7 && expensive >= MAX_EXPENSIVE_CARDS) break;
+                expensive += card.cost >= 7 ? 1 : 0;
+                deck.push({ ...card });
+            }
+        }
+
+        return deck;
+    }
+}
+
+ServerAI.DIFFICULTIES = Object.keys(DIFFICULTIES);
+
+module.exports = ServerAI;
@@ -1,572 +1,1503 @@
 // Server-side Game Engine - Node.js compatible version of Game.js
 const Card = require('./Card.js');
+const SeededRandom = require('./SeededRandom.js');
+const { EVENT_TYPES, cardRef, heroRef, redactEvent } = require('./GameEvents.js');
+const { CHOSEN_TARGETING, getCardDefinition, hasKeyword, getKeywordValue, cardHasColor, auraAppliesTo } = require('./abilities.js');
 const { ALL_CARDS, CARD_POWER } = require('./cards.js');
+const { cardsByName } = require('../api/cards-data.js');
+
+// Triggers that set off further triggers stop nesting past this depth (guards against loops)
+const MAX_TRIGGER_DEPTH = 10;
+
+// Death sweeps that run death effects in one (outermost) checkCreatureDeaths. Past this,
+// creatures still die but fire nothing - a summoner whose tokens die on arrival (e.g.
+// under a -2/-2 aura) would otherwise replace them forever
+const MAX_DEATH_SWEEPS = 50;
+
+// Bumped whenever toJSON()'s shape changes
+const SNAPSHOT_VERSION = 5;
+
+// Given to the player going second once mulligans are done
+const COMPENSATION_CARD = { name: 'Mana Coin', cost: 0, type: 'spell', attack: 0, health: 0, ability: 'Gain 1 mana this turn', emoji: '🪙', rarity: 'common', color: 'colorless' };
+
+// Game rules. Custom matches override these (see rules.js for the named variants).
+const DEFAULT_OPTIONS = {
+    startingHealth: 30,
+    startingMana: 1,                      // Mana crystals on each player's first turn
+    manaPerTurn: 1,                       // Crystals gained at the start of every later turn
+    maxMana: 10,
+    openingHand: 5,
+    deckSize: 30,                         // Cards per deck (checked by the server before the game)
+    turnTimerMs: null,                    // Turn length for the server, null for the mode's default
+    mulligan: true,                       // Both players may swap opening cards before turn 1
+    compensationCard: COMPENSATION_CARD,  // Card template for the second player, or null
+    handLimit: 10,                        // Cards over the limit are burned (see addToHand)
+    fatigue: true,                        // Drawing from an empty deck deals 1, 2, 3, ... damage
+    burnOverdraw: true                    // Draws into a full hand burn the card (else it stays on the deck)
+};
 
 class ServerGame {
-    constructor(roomId) {
-        console.log('[VERSION] ServerGame.js loaded - Version with proper game logic 1.0');
+    // seed: 32-bit integer driving every random decision (shuffles, card IDs,
+    // random effects). Replaying the same seed and actions gives the same game.
+    // options: see DEFAULT_OPTIONS
+    constructor(roomId, seed = SeededRandom.generateSeed(), options = {}) {
+        this.log('[VERSION] ServerGame.js loaded - Version with proper game logic 1.0');
         
         this.roomId = roomId;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.seed = seed >>> 0;
+        this.rng = new SeededRandom(this.seed);
+        this.cardCounter = 0;
+        
+        const { startingHealth, startingMana, manaPerTurn } = this.options;
         this.players = [
             {
-                health: 30,
-                maxHealth: 30,
-                mana: 1,
-                maxMana: 1,
+                health: startingHealth,
+                maxHealth: startingHealth,
+                mana: startingMana,
+                maxMana: startingMana,
                 hand: [],
                 deck: [],
                 field: [],
                 graveyard: [],
                 spellsCount: 0,
-                spellPower: 0
+                spellPower: 0,
+                fatigue: 0,  // Fatigue damage taken on the last empty-deck draw
+                stats: { damageDealt: 0, damageTaken: 0, cardsPlayed: 0, manaSpent: 0 }
             },
             {
-                health: 30,
-                maxHealth: 30,
-                mana: 0,  // Player 2 starts with 0 mana
-                maxMana: 0,
+                health: startingHealth,
+                maxHealth: startingHealth,
+                // Player 2's first turn start tops this up to startingMana (rules.js
+                // keeps startingMana >= manaPerTurn so this never goes below 0)
+                mana: Math.max(0, startingMana - manaPerTurn),
+                maxMana: Math.max(0, startingMana - manaPerTurn),
                 hand: [],
                 deck: [],
                 field: [],
                 graveyard: [],
                 spellsCount: 0,
-                spellPower: 0
+                spellPower: 0,
+                fatigue: 0,
+                stats: { damageDealt: 0, damageTaken: 0, cardsPlayed: 0, manaSpent: 0 }
             }
         ];
         
+        this.phase = 'mulligan';  // 'mulligan' until both opening hands are kept, then 'playing'
+        this.mulliganDone = [false, false];
         this.currentTurn = 0;  // Player 1 (index 0) starts
         this.turnNumber = 1;
         this.totalTurns = 1;
         this.gameOver = false;
-        this.winner = null;
-        this.gameLog = [];
+        this.winner = null;        // null with gameOver set means a draw
+        this.endReason = null;     // 'health' | 'draw' | 'concede' | 'timeout' | 'disconnect'
+        this.extraTurns = [0, 0];  // Extra turns queued by "Take an extra turn" effects
+        this.triggerDepth = 0;     // Nesting level of the trigger bus (see fireTrigger)
+        this.deathCheckDepth = 0;  // Nesting level of checkCreatureDeaths
+        this.deathSweeps = 0;      // Death sweeps so far in the outermost one (see MAX_DEATH_SWEEPS)
+        this.silent = false;       // Mutes console logging (AI look-ahead copies)
+        this.events = [];      // Full typed event history (see GameEvents.js)
+        this.eventSeq = 0;
+        this.lastRejection = null;  // Why the last action was refused
+        
+        // Replay recording: starting decks (pre-shuffle) and every applied action
+        this.initialDecks = [null, null];
+        this.actionLog = [];
+    }
+
+    // Console logging, muted for look-ahead copies
+    log(...args) {
+        if (!this.silent) {
+            console.log(...args);
+        }
+    }
+
+    // Independent, silent copy of the game for look-ahead (AI search).
+    // The event history and replay log are not carried over.
+    clone() {
+        const copy = Object.assign(Object.create(ServerGame.prototype), this);
+        const copyCard = card => Object.assign(Object.create(Card.prototype), card);
+        
+        copy.rng = Object.assign(Object.create(SeededRandom.prototype), this.rng);
+        copy.players = this.players.map(player => ({
+            ...player,
+            hand: player.hand.map(copyCard),
+            deck: player.deck.map(copyCard),
+            field: player.field.map(copyCard),
+            graveyard: player.graveyard.map(copyCard),
+            stats: { ...player.stats }
+        }));
+        copy.extraTurns = [...this.extraTurns];
+        copy.mulliganDone = [...this.mulliganDone];
+        copy.events = [];
+        copy.actionLog = [];
+        copy.silent = true;
+        return copy;
+    }
+
+    // Full snapshot of the match for persistence: every player zone in order (so deck
+    // order survives), card runtime state, the RNG position, event history and replay log.
+    // The result is detached - later play doesn't change it.
+    toJSON() {
+        const zones = player => ({
+            ...player,
+            hand: player.hand.map(card => card.toJSON()),
+            deck: player.deck.map(card => card.toJSON()),
+            field: player.field.map(card => card.toJSON()),
+            graveyard: player.graveyard.map(card => card.toJSON()),
+            stats: { ...player.stats }
+        });
+        
+        return {
+            version: SNAPSHOT_VERSION,
+            roomId: this.roomId,
+            options: this.options,
+            seed: this.seed,
+            rng: this.rng.toJSON(),
+            cardCounter: this.cardCounter,
+            players: this.players.map(zones),
+            phase: this.phase,
+            mulliganDone: [...this.mulliganDone],
+            currentTurn: this.currentTurn,
+            turnNumber: this.turnNumber,
+            totalTurns: this.totalTurns,
+            gameOver: this.gameOver,
+            winner: this.winner,
+            endReason: this.endReason,
+            extraTurns: [...this.extraTurns],
+            events: [...this.events],
+            eventSeq: this.eventSeq,
+            initialDecks: [...this.initialDecks],
+            actionLog: [...this.actionLog]
+        };
+    }
+
+    // Rebuild a game from a (JSON-parsed) toJSON() snapshot; play continues exactly
+    // where it stopped, including upcoming random rolls
+    static fromJSON(data) {
+        if (data.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported game snapshot version: ${data.version}`);
+        }
+        
+        const game = Object.create(ServerGame.prototype);
+        Object.assign(game, {
+            roomId: data.roomId,
+            options: data.options,
+            seed: data.seed,
+            rng: SeededRandom.fromJSON(data.rng),
+            cardCounter: data.cardCounter,
+            players: data.players.map(player => ({
+                ...player,
+                hand: player.hand.map(Card.fromJSON),
+                deck: player.deck.map(Card.fromJSON),
+                field: player.field.map(Card.fromJSON),
+                graveyard: player.graveyard.map(Card.fromJSON),
+                stats: { ...player.stats }
+            })),
+            phase: data.phase,
+            mulliganDone: [...data.mulliganDone],
+            currentTurn: data.currentTurn,
+            turnNumber: data.turnNumber,
+            totalTurns: data.totalTurns,
+            gameOver: data.gameOver,
+            winner: data.winner,
+            endReason: data.endReason,
+            extraTurns: [...data.extraTurns],
+            triggerDepth: 0,
+            deathCheckDepth: 0,
+            deathSweeps: 0,
+            silent: false,
+            events: data.events,
+            eventSeq: data.eventSeq,
+            lastRejection: null,
+            initialDecks: data.initialDecks,
+            actionLog: data.actionLog
+        });
+        return game;
     }
 
     initPlayerDeck(playerIndex, deckCards) {
         if (this.players[playerIndex].deck.length > 0) {
-            console.log(`⚠️ Player ${playerIndex + 1} deck already initialized, skipping`);
+            this.log(`⚠️ Player ${playerIndex + 1} deck already initialized, skipping`);
             return false;
         }
 
-        console.log(`📋 Initializing deck for Player ${playerIndex + 1}: ${deckCards.length} cards`);
+        this.log(`📋 Initializing deck for Player ${playerIndex + 1}: ${deckCards.length} cards`);
+        
+        // Deck init order matters for the RNG, so it is part of the action log
+        this.initialDecks[playerIndex] = deckCards.map(cardData => ({ ...cardData }));
+        this.recordAction({ action: 'initDeck', playerIndex });
         
         // Convert to Card instances and shuffle
-        const cardInstances = deckCards.map(cardData => new Card(cardData));
+        const cardInstances = deckCards.map(cardData => this.createCard(cardData));
         this.shuffleDeck(cardInstances);
         this.players[playerIndex].deck = cardInstances;
         
-        // Draw initial hand of exactly 5 cards
-        for (let i = 0; i < 5; i++) {
+        // Draw the opening hand
+        for (let i = 0; i < this.options.openingHand; i++) {
             this.drawCard(playerIndex);
         }
         
-        console.log(`✅ Player ${playerIndex + 1} ready: ${this.players[playerIndex].hand.length} cards in hand`);
+        this.log(`✅ Player ${playerIndex + 1} ready: ${this.players[playerIndex].hand.length} cards in hand`);
         
         // Check if both players ready
         const bothReady = this.players.every(p => p.deck.length > 0);
+        if (bothReady && !this.options.mulligan) {
+            this.beginPlay();
+        }
         return bothReady;
     }
 
-    shuffleDeck(deck) {
-        for (let i = deck.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [deck[i], deck[j]] = [deck[j], deck[i]];
+    // Why a mulligan can't be made right now, or null if it's legal
+    getMulliganError(playerIndex, cardIndices) {
+        if (this.phase !== 'mulligan' || !this.players.every(p => p.deck.length > 0)) {
+            return 'Not in the mulligan phase';
         }
+        if (this.mulliganDone[playerIndex]) {
+            return 'Mulligan already made';
+        }
+        const hand = this.players[playerIndex].hand;
+        if (!Array.isArray(cardIndices) ||
+            !cardIndices.every(index => Number.isInteger(index) && index >= 0 && index < hand.length) ||
+            new Set(cardIndices).size !== cardIndices.length) {
+            return 'Invalid mulligan cards';
+        }
+        return null;
     }
 
-    drawCard(playerIndex) {
+    // Swap the chosen opening cards (hand indices) for new ones, then shuffle them
+    // back into the deck. An empty list keeps the hand. Play begins once both are done.
+    mulligan(playerIndex, cardIndices) {
+        const error = this.getMulliganError(playerIndex, cardIndices);
+        if (error) {
+            return this.reject(error);
+        }
+        
         const player = this.players[playerIndex];
-        if (player.deck.length > 0 && player.hand.length < 10) {
-            const card = player.deck.shift();
-            player.hand.push(card);
-            console.log(`Player ${playerIndex + 1} drew: ${card.name}`);
-            this.addLog(`Player ${playerIndex + 1} drew ${card.name}`);
+        this.recordAction({ action: 'mulligan', playerIndex, cardIndices: [...cardIndices] });
+        
+        // Replacements come off the top first, so a card can't be redrawn
+        const returned = [...cardIndices].sort((a, b) => b - a).map(index => player.hand.splice(index, 1)[0]);
+        returned.forEach(() => this.drawCard(playerIndex));
+        player.deck.push(...returned);
+        this.shuffleDeck(player.deck);
+        
+        this.log(`🔀 Player ${playerIndex + 1} mulligans ${returned.length} card(s)`);
+        this.logEvent(EVENT_TYPES.MULLIGAN, { targets: [heroRef(playerIndex)], amount: returned.length });
+        
+        this.mulliganDone[playerIndex] = true;
+        if (this.mulliganDone.every(done => done)) {
+            this.beginPlay();
         }
+        return true;
     }
 
-    playCard(playerIndex, cardIndex, target = null, actualCost = null) {
-        const player = this.players[playerIndex];
+    // Leave the mulligan phase: the second player gets the compensation card and turn 1 starts
+    beginPlay() {
+        this.phase = 'playing';
         
-        if (cardIndex < 0 || cardIndex >= player.hand.length) {
-            console.log(`❌ Invalid card index: ${cardIndex}`);
-            return false;
+        const compensation = this.options.compensationCard;
+        if (compensation) {
+            const card = this.createCard(compensation);
+            this.players[1].hand.push(card);
+            this.logEvent(EVENT_TYPES.CARD_GIVEN, {
+                source: cardRef(card, 1),
+                targets: [heroRef(1)]
+            });
         }
+        this.log('▶️ Mulligans done - Player 1 to play');
+    }
 
-        const card = player.hand[cardIndex];
-        const cost = actualCost !== null ? actualCost : this.getCardCost(card, playerIndex);
+    shuffleDeck(deck) {
+        this.rng.shuffle(deck);
+    }
+
+    // Create a card instance with a deterministic per-game ID
+    createCard(template) {
+        this.cardCounter++;
+        return new Card({ ...template, id: `${this.roomId}-c${this.cardCounter}` });
+    }
+
+    // Draw the top card. An empty deck deals fatigue damage instead, and a card
+    // drawn into a full hand is burned (see addToHand)
+    drawCard(playerIndex) {
+        const player = this.players[playerIndex];
+        if (player.deck.length === 0) {
+            if (this.options.fatigue) {
+                this.takeFatigue(playerIndex);
+            }
+            return;
+        }
+        if (!this.options.burnOverdraw && player.hand.length >= this.getHandLimit(playerIndex)) {
+            return;
+        }
         
-        console.log(`🃏 Player ${playerIndex + 1} playing ${card.name} (cost: ${cost})`);
+        const card = player.deck.shift();
+        if (!this.addToHand(playerIndex, card)) {
+            return;
+        }
+        this.log(`Player ${playerIndex + 1} drew: ${card.name}`);
+        this.logEvent(EVENT_TYPES.CARD_DRAWN, {
+            source: cardRef(card, playerIndex),
+            targets: [heroRef(playerIndex)],
+            privateTo: playerIndex
+        });
+    }
+
+    // Empty deck: each draw hurts one more than the last (1, 2, 3, ...)
+    takeFatigue(playerIndex) {
+        const player = this.players[playerIndex];
+        player.fatigue = (player.fatigue || 0) + 1;
+        player.health -= player.fatigue;
+        player.stats.damageTaken += player.fatigue;
         
-        if (cost > player.mana) {
-            console.log(`❌ Not enough mana! Cost: ${cost}, Available: ${player.mana}`);
+        this.log(`💀 Player ${playerIndex + 1} takes ${player.fatigue} fatigue damage`);
+        this.logEvent(EVENT_TYPES.FATIGUE, { targets: [heroRef(playerIndex)], amount: player.fatigue });
+        this.checkGameOver();
+    }
+
+    // Put a card into its owner's hand. Over the hand limit it is burned to the
+    // graveyard instead, in view of both players. Returns false if burned.
+    addToHand(playerIndex, card) {
+        const player = this.players[playerIndex];
+        if (player.hand.length >= this.getHandLimit(playerIndex)) {
+            player.graveyard.push(card);
+            this.log(`🔥 Player ${playerIndex + 1}'s hand is full - ${card.name} is burned`);
+            this.logEvent(EVENT_TYPES.CARD_BURNED, {
+                source: cardRef(card, playerIndex),
+                targets: [heroRef(playerIndex)]
+            });
             return false;
         }
+        player.hand.push(card);
+        return true;
+    }
+
+    // Maximum hand size after hand size auras: "unlimited" wins, then a fixed size
+    // replaces the rules' limit (the highest if several, even when lower than the
+    // rules'), then any increases. Infinity when unlimited.
+    getHandLimit(playerIndex) {
+        const auras = this.getActiveAuras(playerIndex, 'handSize').map(({ aura }) => aura);
+        if (auras.some(aura => aura.unlimited)) {
+            return Infinity;
+        }
+        const fixedSizes = auras.filter(aura => aura.setTo !== undefined).map(aura => aura.setTo);
+        const base = fixedSizes.length > 0 ? Math.max(...fixedSizes) : this.options.handLimit;
+        return auras.reduce((limit, aura) => limit + (aura.amount || 0), base);
+    }
+
+    playCard(playerIndex, cardIndex, target = null, actualCost = null) {
+        const player = this.players[playerIndex];
         
-        if (card.type === 'creature' && player.field.length >= 7) {
-            console.log(`❌ Field is full!`);
-            return false;
+        const error = this.getPlayError(playerIndex, cardIndex, target, actualCost);
+        if (error) {
+            return this.reject(error);
         }
+
+        const card = player.hand[cardIndex];
+        const cost = actualCost !== null ? actualCost : this.getCardCost(card, playerIndex);
+        const chosenTarget = this.normalizeTarget(playerIndex, card, target);
+        
+        this.log(`🃏 Player ${playerIndex + 1} playing ${card.name} (cost: ${cost})`);
         
         // Remove from hand and spend mana
         player.hand.splice(cardIndex, 1);
         player.mana -= cost;
+        player.stats.cardsPlayed++;
+        player.stats.manaSpent += cost;
+        
+        this.logEvent(EVENT_TYPES.CARD_PLAYED, {
+            source: cardRef(card, playerIndex),
+            amount: cost,
+            cardType: card.type
+        });
         
         if (card.type === 'creature') {
-            this.playCreature(playerIndex, card);
+            this.playCreature(playerIndex, card, chosenTarget);
         } else if (card.type === 'spell') {
             player.spellsCount++;
-            this.handleSpell(playerIndex, card, target);
+            this.handleSpell(playerIndex, card, chosenTarget);
             player.graveyard.push(card);
+            this.fireTrigger('spellCast', { playerIndex, card });
         }
         
-        this.addLog(`Player ${playerIndex + 1} played ${card.name}`);
+        this.checkCreatureDeaths();
+        this.checkGameOver();
+        
+        this.recordAction({ action: 'playCard', playerIndex, cardIndex, target });
         return true;
     }
 
-    playCreature(playerIndex, card) {
+    playCreature(playerIndex, card, target = null) {
         const player = this.players[playerIndex];
         
+        player.field.push(card);
+        this.updateAuras();
+        this.prepareCreature(card);
+        
+        // Handle enter-play abilities
+        this.handleEnterPlayAbilities(playerIndex, card, target);
+        
+        // Update spell power
+        this.updateSpellPower();
+    }
+
+    // Summoning sickness and keyword flags for a creature entering the field
+    prepareCreature(card) {
         // CRITICAL: Proper summoning sickness logic from Game.js
         card.tapped = true;  // All creatures enter tapped by default
         card.frozen = false;
         card.hasAttackedThisTurn = false;
-        card.doubleStrikeUsed = false;
         
         // Handle abilities that override summoning sickness
-        if (card.ability === 'Rush') {
+        if (hasKeyword(card, 'rush')) {
             card.tapped = false;
             card.canOnlyAttackCreatures = true;
-            console.log(`  ${card.name} has Rush - can attack creatures immediately!`);
-        } else if (card.ability === 'Quick' || card.ability === 'Charge' || card.ability === 'Haste') {
+            this.log(`  ${card.name} has Rush - can attack creatures immediately!`);
+        } else if (hasKeyword(card, 'charge')) {
             card.tapped = false;
-            console.log(`  ${card.name} can attack immediately (${card.ability})!`);
+            this.log(`  ${card.name} can attack immediately (${card.ability})!`);
         } else {
-            console.log(`  ${card.name} enters tapped (summoning sickness)`);
+            this.log(`  ${card.name} enters tapped (summoning sickness)`);
         }
         
         // Set ability properties
-        if (card.ability === 'Vigilance') {
-            card.vigilance = true;
+        card.vigilance = card.vigilance || hasKeyword(card, 'vigilance');
+        card.taunt = card.taunt || hasKeyword(card, 'taunt');
+        card.divineShield = card.divineShield || hasKeyword(card, 'divineShield');
+        card.stealth = card.stealth || hasKeyword(card, 'stealth');
+        card.spellShield = card.spellShield || hasKeyword(card, 'spellShield');
+        card.cannotAttack = card.cannotAttack || hasKeyword(card, 'cannotAttack');
+    }
+
+    handleEnterPlayAbilities(playerIndex, card, target = null) {
+        const definition = getCardDefinition(card);
+        if (definition.onPlay.length === 0) return;
+        
+        this.logEvent(EVENT_TYPES.ABILITY_TRIGGERED, { source: cardRef(card, playerIndex), ability: card.ability });
+        this.resolveEffects(playerIndex, card, definition.onPlay, target);
+    }
+
+    updateSpellPower() {
+        // Calculate spell power from creatures on field
+        this.players.forEach(player => {
+            player.spellPower = player.field.reduce((total, c) => total + getKeywordValue(c, 'spellPower'), 0);
+        });
+    }
+
+    handleSpell(playerIndex, card, target = null) {
+        const definition = getCardDefinition(card);
+        
+        this.log(`🎯 Applying spell: ${card.name} - ${card.ability}`);
+        const source = cardRef(card, playerIndex);
+        const firstEffect = definition.onPlay[0];
+        const targets = firstEffect && firstEffect.targets
+            ? this.resolveTargets(playerIndex, card, firstEffect, target)
+            : [heroRef(playerIndex)];
+        
+        this.logEvent(EVENT_TYPES.SPELL_CAST, { source, targets: targets.map(t => this.targetRef(t)) });
+        this.resolveEffects(playerIndex, card, definition.onPlay, target);
+    }
+
+    // Targets are sent as { owner: 'self' | 'opponent', index } where index is a field
+    // position, or -1 / missing for the hero. Older clients send a bare field index
+    // (enemy field, own field for friendly-creature cards), -1 / 'opponent' for the
+    // enemy hero or 'self' for their own hero. Returns { playerIndex, fieldIndex } or null.
+    normalizeTarget(playerIndex, card, target) {
+        if (target === null || target === undefined) {
+            return null;
         }
-        if (card.ability === 'Taunt') {
-            card.taunt = true;
+        if (target === 'opponent') {
+            return { playerIndex: 1 - playerIndex, fieldIndex: -1 };
         }
-        if (card.ability === 'Divine Shield') {
-            card.divineShield = true;
+        if (target === 'self') {
+            return { playerIndex, fieldIndex: -1 };
         }
-        if (card.ability === 'Stealth') {
-            card.stealth = true;
+        if (typeof target === 'object') {
+            if (target.owner !== 'self' && target.owner !== 'opponent') {
+                return { invalid: true };
+            }
+            const fieldIndex = target.index === undefined || target.index === null ? -1 : Number(target.index);
+            return {
+                playerIndex: target.owner === 'self' ? playerIndex : 1 - playerIndex,
+                fieldIndex: Number.isInteger(fieldIndex) ? fieldIndex : NaN
+            };
+        }
+        
+        const fieldIndex = Number(target);
+        if (!Number.isInteger(fieldIndex)) {
+            return { invalid: true };
         }
-        if (card.ability === 'Spell Shield') {
-            card.spellShield = true;
+        const friendly = getCardDefinition(card).targeting === 'friendlyCreature' && fieldIndex !== -1;
+        return { playerIndex: friendly ? playerIndex : 1 - playerIndex, fieldIndex };
+    }
+
+    // Public form of a normalized target, as seen by `playerIndex`
+    toPublicTarget(playerIndex, target) {
+        return { owner: target.playerIndex === playerIndex ? 'self' : 'opponent', index: target.fieldIndex };
+    }
+
+    // Every target the card could legally be played on ([] if it doesn't take one).
+    // Enemy Stealth creatures can't be chosen, nor can enemy Spell Shield creatures by spells.
+    getLegalTargets(playerIndex, card) {
+        const targeting = getCardDefinition(card).targeting;
+        if (!CHOSEN_TARGETING.includes(targeting)) {
+            return [];
         }
         
-        player.field.push(card);
+        const targets = [];
+        this.players.forEach((player, ownerIndex) => {
+            const enemy = ownerIndex !== playerIndex;
+            if (targeting === 'any') {
+                targets.push({ playerIndex: ownerIndex, fieldIndex: -1 });
+            }
+            if ((targeting === 'enemyCreature' && !enemy) || (targeting === 'friendlyCreature' && enemy)) {
+                return;
+            }
+            player.field.forEach((creature, fieldIndex) => {
+                if (enemy && this.getProtection(creature, card)) return;
+                targets.push({ playerIndex: ownerIndex, fieldIndex });
+            });
+        });
+        return targets;
+    }
+
+    // Why an enemy creature can't be targeted by `card`, or null
+    getProtection(creature, card) {
+        if (creature.stealth) {
+            return `Cannot target ${creature.name} - stealthed!`;
+        }
+        if (creature.spellShield && card.type === 'spell') {
+            return `Cannot target ${creature.name} - protected by Spell Shield!`;
+        }
+        return null;
+    }
+
+    // Check a normalized target against the card's targeting mode; returns a reason or null.
+    // Spells that need a target can't be played without one; creatures with a targeted
+    // Battlecry may be played without one when nothing is targetable (the Battlecry fizzles).
+    getTargetError(playerIndex, card, target) {
+        const targeting = getCardDefinition(card).targeting;
+        if (!CHOSEN_TARGETING.includes(targeting)) {
+            return null;
+        }
         
-        // Handle enter-play abilities
-        this.handleEnterPlayAbilities(playerIndex, card);
+        const legalTargets = this.getLegalTargets(playerIndex, card);
+        if (!target) {
+            if (legalTargets.length === 0) {
+                return card.type === 'spell' ? `${card.name} has no valid targets` : null;
+            }
+            return `${card.name} needs a target`;
+        }
+        if (target.invalid) {
+            return 'Invalid target';
+        }
         
-        // Update spell power
-        this.updateSpellPower();
+        const isLegal = legalTargets.some(t => t.playerIndex === target.playerIndex && t.fieldIndex === target.fieldIndex);
+        if (isLegal) {
+            return null;
+        }
+        const creature = this.players[target.playerIndex].field[target.fieldIndex];
+        if (creature && target.playerIndex !== playerIndex && this.getProtection(creature, card)) {
+            return this.getProtection(creature, card);
+        }
+        return `Invalid target for ${card.name}`;
+    }
+
+    // Valid targets for a card in hand, for client targeting UI
+    getValidTargets(playerIndex, cardIndex) {
+        const card = this.players[playerIndex].hand[cardIndex];
+        if (!card) {
+            return null;
+        }
+        const targeting = getCardDefinition(card).targeting;
+        return {
+            cardIndex,
+            targeting,
+            requiresTarget: CHOSEN_TARGETING.includes(targeting),
+            targets: this.getLegalTargets(playerIndex, card).map(t => this.toPublicTarget(playerIndex, t))
+        };
+    }
+
+    // Run a card's effect definitions (see abilities.js) in order.
+    // `context` is the trigger event being answered, if any (see fireTrigger)
+    resolveEffects(playerIndex, card, effects, target = null, context = null) {
+        effects.forEach(effect => {
+            const targets = effect.targets ? this.resolveTargets(playerIndex, card, effect, target, context) : [];
+            this.applyEffect(playerIndex, card, effect, targets);
+        });
+    }
+
+    // Turn an effect's target spec into concrete targets:
+    // { playerIndex } for a hero, { playerIndex, creature } for a creature.
+    // `target` is the chosen target, already normalized and validated (see normalizeTarget).
+    resolveTargets(playerIndex, card, effect, target = null, context = null) {
+        const opponentIndex = 1 - playerIndex;
+        // Area effects of enemy spells pass over Spell Shield creatures
+        const creaturesOf = index => this.players[index].field
+            .filter(creature => !effect.color || cardHasColor(creature, effect.color))
+            .filter(creature => !(card.type === 'spell' && index !== playerIndex && creature.spellShield))
+            .map(creature => ({ playerIndex: index, creature }));
+        const chosenCreature = () => {
+            const creature = target && this.players[target.playerIndex].field[target.fieldIndex];
+            return creature ? [{ playerIndex: target.playerIndex, creature }] : [];
+        };
+        
+        switch (effect.targets) {
+            case 'chosen':
+                if (target && target.fieldIndex === -1) {
+                    return [{ playerIndex: target.playerIndex }];
+                }
+                return chosenCreature();
+            case 'chosenCreature':
+            case 'chosenFriendlyCreature':
+                return chosenCreature();
+            case 'enemyHero':
+                return [{ playerIndex: opponentIndex }];
+            case 'ownHero':
+                return [{ playerIndex }];
+            case 'self':
+                return [{ playerIndex, creature: card }];
+            case 'allEnemies':
+                return [...creaturesOf(opponentIndex), { playerIndex: opponentIndex }];
+            case 'allEnemyCreatures':
+                return creaturesOf(opponentIndex);
+            case 'allFriendlyCreatures':
+                return creaturesOf(playerIndex);
+            case 'allFriendlyCharacters':
+                return [...creaturesOf(playerIndex), { playerIndex }];
+            case 'allCreatures':
+                return [...creaturesOf(playerIndex), ...creaturesOf(opponentIndex)];
+            case 'allOtherCreatures':
+                return [...creaturesOf(playerIndex), ...creaturesOf(opponentIndex)].filter(t => t.creature !== card);
+            case 'allCreaturesAndEnemyHero':
+                return [...creaturesOf(playerIndex), ...creaturesOf(opponentIndex), { playerIndex: opponentIndex }];
+            case 'allCharacters':
+                return [...creaturesOf(playerIndex), ...creaturesOf(opponentIndex), { playerIndex }, { playerIndex: opponentIndex }];
+            case 'eventSource': {
+                // The card behind the trigger event, e.g. whoever dealt the damage
+                const sourceRef = context && context.source;
+                const owner = sourceRef && sourceRef.kind === 'card' ? this.players[sourceRef.playerIndex] : null;
+                const creature = owner && owner.field.find(c => c.id === sourceRef.cardId);
+                return creature ? [{ playerIndex: sourceRef.playerIndex, creature }] : [];
+            }
+            case 'randomEnemyCreature': {
+                const candidates = creaturesOf(opponentIndex);
+                return candidates.length > 0 ? [this.rng.pick(candidates)] : [];
+            }
+            default:
+                this.log(`⚠️ Unknown target spec: ${effect.targets}`);
+                return [];
+        }
     }
 
-    handleEnterPlayAbilities(playerIndex, card) {
-        const ability = card.ability;
+    targetRef(target) {
+        return target.creature ? cardRef(target.creature, target.playerIndex) : heroRef(target.playerIndex);
+    }
+
+    // Apply one effect to its resolved targets
+    applyEffect(playerIndex, card, effect, targets) {
+        const player = this.players[playerIndex];
+        const source = cardRef(card, playerIndex);
         
-        if (ability === 'Draw a card' || ability === 'Draw 2 cards' || ability === 'Draw 3 cards') {
-            const drawCount = parseInt(ability.match(/\d+/)?.[0] || 1);
-            for (let i = 0; i < drawCount; i++) {
-                this.drawCard(playerIndex);
+        switch (effect.effect) {
+            case 'damage': {
+                // Spell Power and spell damage auras boost spell damage only
+                const amount = effect.amount + (card.type === 'spell'
+                    ? player.spellPower + this.getSpellDamageBonus(playerIndex, card)
+                    : 0);
+                targets.forEach(t => {
+                    if (t.creature) {
+                        this.damageCreature(t.creature, t.playerIndex, amount, source);
+                    } else {
+                        this.damagePlayer(t.playerIndex, amount, source);
+                    }
+                });
+                break;
             }
-            console.log(`  Drew ${drawCount} card(s) from ${card.name}'s ability`);
-        } else if (ability === 'Battlecry: Damage') {
-            const opponent = this.players[1 - playerIndex];
-            opponent.health -= 2;
-            this.addLog(`${card.name}'s Battlecry deals 2 damage!`);
-            console.log(`  Battlecry dealt 2 damage to opponent`);
-            this.checkGameOver();
-        } else if (ability === 'AOE damage') {
-            const opponent = this.players[1 - playerIndex];
-            let totalDamage = 0;
-            opponent.field.forEach(creature => {
-                const damage = creature.takeDamage(2);
-                totalDamage += damage;
-                if (damage > 0) {
-                    this.addLog(`${creature.name} takes ${damage} AOE damage!`);
+            case 'heal':
+                targets.forEach(t => {
+                    if (t.creature) {
+                        const amount = effect.amount === 'full' ? t.creature.maxHealth : effect.amount;
+                        const healed = Math.max(0, Math.min(amount, t.creature.maxHealth - t.creature.health));
+                        t.creature.health += healed;
+                        this.logEvent(EVENT_TYPES.HEAL, { source, targets: [this.targetRef(t)], amount: healed });
+                    } else {
+                        this.healPlayer(t.playerIndex, effect.amount === 'full' ? this.players[t.playerIndex].maxHealth : effect.amount, source);
+                    }
+                });
+                break;
+            case 'draw':
+                for (let i = 0; i < effect.count; i++) {
+                    this.drawCard(playerIndex);
                 }
-            });
-            this.checkCreatureDeaths();
-            console.log(`  AOE dealt ${totalDamage} total damage`);
-        } else if (ability === 'Summon skeletons') {
-            const player = this.players[playerIndex];
-            for (let i = 0; i < 2 && player.field.length < 7; i++) {
-                const skeleton = new Card({
-                    name: "Skeleton",
-                    cost: 0,
-                    type: "creature",
-                    attack: 1,
-                    health: 1,
-                    ability: "",
-                    emoji: "💀",
-                    rarity: "common"
+                break;
+            case 'buff': {
+                const buffed = targets.filter(t => t.creature);
+                buffed.forEach(({ creature }) => {
+                    creature.attack = Math.max(0, creature.attack + effect.attack);
+                    creature.health += effect.health;
+                    creature.maxHealth += effect.health;
+                    if (effect.untilEndOfTurn) {
+                        creature.tempAttack = (creature.tempAttack || 0) + effect.attack;
+                    }
                 });
-                skeleton.tapped = true;
-                player.field.push(skeleton);
+                if (buffed.length > 0) {
+                    this.logEvent(EVENT_TYPES.BUFF, {
+                        source,
+                        targets: buffed.map(t => this.targetRef(t)),
+                        attack: effect.attack,
+                        health: effect.health
+                    });
+                }
+                break;
             }
-            this.addLog("Summoned 2 Skeleton tokens!");
-        } else if (ability === 'Spell Power +1') {
-            this.updateSpellPower();
-            console.log(`  Spell Power increased for Player ${playerIndex + 1}`);
+            case 'freeze':
+                targets.filter(t => t.creature).forEach(t => this.freezeCreature(t.creature, t.playerIndex, source));
+                break;
+            case 'destroy':
+                targets.filter(t => t.creature && t.creature.attack >= (effect.minAttack || 0)).forEach(t => {
+                    t.creature.health = 0;
+                    this.logEvent(EVENT_TYPES.DESTROY, { source, targets: [this.targetRef(t)] });
+                });
+                break;
+            case 'summon':
+                for (let i = 0; i < effect.count && player.field.length < 7; i++) {
+                    const token = this.createToken(effect.token);
+                    player.field.push(token);
+                    this.updateAuras();
+                    this.prepareCreature(token);
+                    this.logEvent(EVENT_TYPES.SUMMON, { source, targets: [cardRef(token, playerIndex)] });
+                }
+                break;
+            case 'returnToHand':
+                targets.filter(t => t.creature).forEach(t => this.returnToHand(t.creature, t.playerIndex, source, effect));
+                break;
+            case 'discard':
+                targets.forEach(t => {
+                    const victim = this.players[t.playerIndex];
+                    for (let i = 0; i < effect.count && victim.hand.length > 0; i++) {
+                        const [discarded] = victim.hand.splice(this.rng.nextInt(victim.hand.length), 1);
+                        victim.graveyard.push(discarded);
+                        this.logEvent(EVENT_TYPES.DESTROY, { source, targets: [cardRef(discarded, t.playerIndex)], zone: 'hand' });
+                    }
+                });
+                break;
+            case 'steal':
+                targets.filter(t => t.creature && t.playerIndex !== playerIndex && player.field.length < 7).forEach(t => {
+                    const from = this.players[t.playerIndex].field;
+                    from.splice(from.indexOf(t.creature), 1);
+                    t.creature.tapped = true;
+                    player.field.push(t.creature);
+                    this.logEvent(EVENT_TYPES.SUMMON, { source, targets: [cardRef(t.creature, playerIndex)], stolen: true });
+                });
+                break;
+            case 'silence':
+                targets.filter(t => t.creature).forEach(({ creature }) => {
+                    creature.silenced = true;
+                    creature.taunt = false;
+                    creature.divineShield = false;
+                    creature.stealth = false;
+                    creature.spellShield = false;
+                    creature.vigilance = false;
+                    creature.cannotAttack = false;
+                    this.logEvent(EVENT_TYPES.ABILITY_TRIGGERED, { source, targets: [cardRef(creature, playerIndex)], ability: 'Silence' });
+                });
+                break;
+            case 'transform':
+                targets.filter(t => t.creature).forEach(t => {
+                    const field = this.players[t.playerIndex].field;
+                    const token = this.createToken(effect.token);
+                    token.tapped = t.creature.tapped;
+                    field[field.indexOf(t.creature)] = token;
+                    this.logEvent(EVENT_TYPES.SUMMON, { source, targets: [cardRef(token, t.playerIndex)], replaced: cardRef(t.creature, t.playerIndex) });
+                });
+                break;
+            case 'extraTurn':
+                this.extraTurns[playerIndex] += effect.count;
+                break;
+            case 'gainMana':
+                // Spendable this turn only - the next turn start refills to maxMana
+                player.mana = Math.min(this.options.maxMana, player.mana + effect.amount);
+                break;
+            default:
+                this.log(`⚠️ Unknown effect: ${effect.effect}`);
         }
     }
 
-    updateSpellPower() {
-        // Calculate spell power from creatures on field
-        this.players[0].spellPower = this.players[0].field.filter(c => c.ability === 'Spell Power +1').length;
-        this.players[1].spellPower = this.players[1].field.filter(c => c.ability === 'Spell Power +1').length;
+    // Trigger bus: announce a game event to every creature on the field.
+    //   on:      'attack' | 'damaged' | 'creatureDied' | 'spellCast' | 'turnStart' | 'turnEnd'
+    //   context: { playerIndex, card?, source? } - whose event it is, the card it
+    //            happened to (attacker, damaged/dead creature, spell cast) and what caused it
+    //
+    // Resolution order:
+    //   1. Events are announced after they have fully happened (damage dealt, spell resolved,
+    //      creature moved to the graveyard) - Attack Triggers are the exception and fire
+    //      before combat damage.
+    //   2. The active player's creatures answer first, then the opponent's; within a side,
+    //      left to right in field order (oldest first).
+    //   3. Each trigger resolves completely, including any triggers it sets off (depth
+    //      first), before the next listener answers. Nesting stops at MAX_TRIGGER_DEPTH.
+    //   4. Creatures that leave the field mid-resolution stop listening. Deathrattles run
+    //      before the creatureDied announcement for the same death (see checkCreatureDeaths).
+    fireTrigger(on, context) {
+        if (this.triggerDepth >= MAX_TRIGGER_DEPTH) {
+            this.log(`⚠️ Trigger depth limit reached - ignoring ${on}`);
+            return;
+        }
+        
+        this.triggerDepth++;
+        [this.currentTurn, 1 - this.currentTurn].forEach(listenerIndex => {
+            const field = this.players[listenerIndex].field;
+            [...field].forEach(listener => {
+                getCardDefinition(listener).triggers
+                    .filter(trigger => trigger.on === on && this.triggerApplies(trigger, listener, listenerIndex, context))
+                    .forEach(trigger => {
+                        if (!field.includes(listener)) return;
+                        this.logEvent(EVENT_TYPES.ABILITY_TRIGGERED, {
+                            source: cardRef(listener, listenerIndex),
+                            ability: listener.ability,
+                            trigger: on
+                        });
+                        this.resolveEffects(listenerIndex, listener, trigger.effects, null, context);
+                    });
+            });
+        });
+        this.triggerDepth--;
     }
 
-    handleSpell(playerIndex, card, target = null) {
-        const ability = card.ability;
+    // Whether a listener's trigger cares about this particular event
+    triggerApplies(trigger, listener, listenerIndex, context) {
+        if (trigger.scope === 'self' && context.card !== listener) return false;
+        if (trigger.scope === 'friendly' && context.playerIndex !== listenerIndex) return false;
+        if (trigger.color && !(context.card && cardHasColor(context.card, trigger.color))) return false;
+        return true;
+    }
+
+    createToken(token) {
+        return this.createCard({
+            name: token.name,
+            cost: 0,
+            type: 'creature',
+            attack: token.attack,
+            health: token.health,
+            ability: token.ability || '',
+            emoji: token.emoji || '✨',
+            rarity: 'common'
+        });
+    }
+
+    // Bounce a creature (or a dead creature's copy) back to its owner's hand
+    returnToHand(creature, ownerIndex, source, effect = {}) {
+        const owner = this.players[ownerIndex];
+        const fieldIndex = owner.field.indexOf(creature);
+        if (fieldIndex !== -1) {
+            owner.field.splice(fieldIndex, 1);
+        }
+        
+        const template = cardsByName[creature.name] || creature;
+        const copy = this.createCard({
+            name: creature.name,
+            cost: template.cost,
+            type: creature.type,
+            attack: template.attack + (effect.attack || 0),
+            health: template.health + (effect.health || 0),
+            ability: creature.ability,
+            emoji: creature.emoji,
+            rarity: creature.rarity,
+            color: creature.color
+        });
+        
+        if (this.addToHand(ownerIndex, copy)) {
+            this.logEvent(EVENT_TYPES.RETURN_TO_HAND, { source, targets: [cardRef(copy, ownerIndex)]});
+        }
+    }
+
+    // Effective cost: printed cost, then the card's own cost modifiers, then cost auras
+    getCardCost(card, playerIndex) {
+        let cost = card.cost;
+        
+        getCardDefinition(card).costModifiers.forEach(modifier => {
+            cost = this.applyCostChange(cost, modifier.amount * this.countForCost(modifier, playerIndex), modifier.minimum);
+        });
+        
+        this.getActiveAuras(playerIndex, 'cost')
+            .filter(({ aura }) => auraAppliesTo(aura, card))
+            .forEach(({ aura }) => {
+                if (aura.setTo !== undefined) {
+                    cost = Math.min(cost, aura.setTo);
+                } else {
+                    cost = this.applyCostChange(cost, aura.amount, aura.minimum);
+                }
+            });
+        
+        return cost;
+    }
+
+    // Reductions stop at the modifier's minimum (0 by default) but never raise a cost already below it
+    applyCostChange(cost, change, minimum = 0) {
+        if (change >= 0) {
+            return cost + change;
+        }
+        return Math.max(Math.min(cost, minimum), cost + change);
+    }
+
+    // How many times a self cost modifier applies ("for each enemy creature", ...)
+    countForCost(modifier, playerIndex) {
         const player = this.players[playerIndex];
         const opponent = this.players[1 - playerIndex];
+        const matchesColor = card => !modifier.color || cardHasColor(card, modifier.color);
+        const deadCreatures = p => p.graveyard.filter(c => c.type === 'creature' && matchesColor(c)).length;
         
-        console.log(`🎯 Applying spell: ${card.name} - ${ability}`);
-        
-        if (ability.includes('Deal')) {
-            const baseDamage = parseInt(ability.match(/\d+/)[0]);
-            const spellPower = player.spellPower;
-            const damage = baseDamage + spellPower;
+        switch (modifier.per) {
+            case 'spellsCast':
+                return player.spellsCount;
+            case 'enemyCreatures':
+                return opponent.field.filter(matchesColor).length;
+            case 'friendlyCreatures':
+                return player.field.filter(matchesColor).length;
+            case 'damagedCreatures':
+                return [...player.field, ...opponent.field].filter(c => c.health < c.maxHealth && matchesColor(c)).length;
+            case 'deadCreatures':
+                return deadCreatures(player) + deadCreatures(opponent);
+            case 'friendlyDeadCreatures':
+                return deadCreatures(player);
+            default:
+                return 0;
+        }
+    }
+
+    // Auras of one type affecting `playerIndex`'s cards: friendly auras from their own
+    // field and enemy-side auras from the opponent's. Returns [{ aura, source, ownerIndex }]
+    getActiveAuras(playerIndex, type) {
+        const active = [];
+        this.players.forEach((player, ownerIndex) => {
+            const side = ownerIndex === playerIndex ? 'friendly' : 'enemy';
+            player.field.forEach(source => {
+                getCardDefinition(source).auras
+                    .filter(aura => aura.type === type && aura.side === side)
+                    .forEach(aura => active.push({ aura, source, ownerIndex }));
+            });
+        });
+        return active;
+    }
+
+    // Extra damage from "Your Crimson spells deal +2 damage" style auras
+    getSpellDamageBonus(playerIndex, card) {
+        return this.getActiveAuras(playerIndex, 'spellDamage')
+            .filter(({ aura }) => auraAppliesTo(aura, card))
+            .reduce((total, { aura }) => total + aura.amount, 0);
+    }
+
+    // Recompute every creature's aura bonuses from the auras currently on the field.
+    // Bonuses are tracked separately (auraAttack/auraHealth/grantedKeywords) so they
+    // come off again when the source leaves play. An aura never affects its own source.
+    updateAuras() {
+        this.players.forEach((player, playerIndex) => {
+            const statAuras = this.getActiveAuras(playerIndex, 'stat');
+            const keywordAuras = this.getActiveAuras(playerIndex, 'keyword');
             
-            if (target === 'opponent' || target === undefined || target === -1) {
-                opponent.health -= damage;
-                this.addLog(`${card.name} deals ${damage} damage to opponent!`);
-                console.log(`  Spell dealt ${damage} damage to opponent`);
-                this.checkGameOver();
-            } else if (typeof target === 'number' && target >= 0 && target < opponent.field.length) {
-                const targetCreature = opponent.field[target];
-                const actualDamage = targetCreature.takeDamage(damage);
-                this.addLog(`${card.name} deals ${actualDamage} damage to ${targetCreature.name}!`);
-                console.log(`  Spell dealt ${actualDamage} damage to ${targetCreature.name}`);
+            player.field.forEach(creature => {
+                const applies = ({ aura, source }) => source !== creature && auraAppliesTo(aura, creature);
+                const attack = statAuras.filter(applies).reduce((total, { aura }) => total + aura.attack, 0);
+                const health = statAuras.filter(applies).reduce((total, { aura }) => total + aura.health, 0);
                 
-                if (ability.includes('Freeze')) {
-                    targetCreature.frozen = true;
-                    this.addLog(`${targetCreature.name} is frozen!`);
+                const attackChange = attack - (creature.auraAttack || 0);
+                const healthChange = health - (creature.auraHealth || 0);
+                creature.attack = Math.max(0, creature.attack + attackChange);
+                creature.maxHealth += healthChange;
+                if (healthChange > 0 || health < 0) {
+                    creature.health += healthChange;
+                } else {
+                    // Losing a health bonus only trims health down to the new maximum
+                    creature.health = Math.min(creature.health, creature.maxHealth);
                 }
-                
-                this.checkCreatureDeaths();
-            }
-        } else if (ability.includes('Restore')) {
-            const heal = parseInt(ability.match(/\d+/)[0]);
-            player.health = Math.min(player.maxHealth, player.health + heal);
-            this.addLog(`Restored ${heal} health!`);
-            console.log(`  Restored ${heal} health to Player ${playerIndex + 1}`);
-        } else if (ability === 'All allies +1/+1' || ability === 'All allies +2/+2') {
-            const buff = ability.includes('+2/+2') ? 2 : 1;
-            player.field.forEach(creature => {
-                creature.attack += buff;
-                creature.health += buff;
-                creature.maxHealth += buff;
+                creature.auraAttack = attack;
+                creature.auraHealth = health;
+                creature.grantedKeywords = keywordAuras.filter(applies).map(({ aura }) => aura.keyword);
             });
-            this.addLog(`All allies get +${buff}/+${buff}!`);
-            console.log(`  All Player ${playerIndex + 1} creatures buffed +${buff}/+${buff}`);
-        } else if (ability.includes('Draw')) {
-            const drawCount = parseInt(ability.match(/\d+/)?.[0] || 2);
-            for (let i = 0; i < drawCount; i++) {
-                this.drawCard(playerIndex);
-            }
-            console.log(`  Drew ${drawCount} cards`);
-        }
+        });
     }
 
-    getCardCost(card, playerIndex) {
-        let cost = card.cost;
-        if (card.ability === 'Costs less per spell') {
-            const spellsCount = this.players[playerIndex].spellsCount;
-            cost = Math.max(0, card.cost - spellsCount);
+    // Why playing a card from hand is illegal right now, or null if it's allowed
+    getPlayError(playerIndex, cardIndex, target = null, actualCost = null) {
+        const player = this.players[playerIndex];
+        
+        const turnError = this.getTurnError(playerIndex);
+        if (turnError) {
+            return turnError;
         }
-        return cost;
+        
+        if (!Number.isInteger(cardIndex) || cardIndex < 0 || cardIndex >= player.hand.length) {
+            return `Invalid card index: ${cardIndex}`;
+        }
+
+        const card = player.hand[cardIndex];
+        const cost = actualCost !== null ? actualCost : this.getCardCost(card, playerIndex);
+        
+        if (cost > player.mana) {
+            return `Not enough mana! Cost: ${cost}, Available: ${player.mana}`;
+        }
+        
+        if (card.type === 'creature' && player.field.length >= 7) {
+            return 'Field is full!';
+        }
+        
+        return this.getTargetError(playerIndex, card, this.normalizeTarget(playerIndex, card, target));
     }
 
-    processAttack(playerIndex, attackerIndex, targetIndex) {
+    // Why an attack is illegal right now, or null if it's allowed.
+    // targetIndex is an enemy field index, or -1 for the enemy hero.
+    getAttackError(playerIndex, attackerIndex, targetIndex) {
         const player = this.players[playerIndex];
         const opponent = this.players[1 - playerIndex];
         
-        console.log(`⚔️ Player ${playerIndex + 1} attacking with creature ${attackerIndex} at target ${targetIndex}`);
+        const turnError = this.getTurnError(playerIndex);
+        if (turnError) {
+            return turnError;
+        }
         
-        if (attackerIndex < 0 || attackerIndex >= player.field.length) {
-            console.log(`❌ Invalid attacker index: ${attackerIndex}`);
-            return false;
+        if (!Number.isInteger(attackerIndex) || attackerIndex < 0 || attackerIndex >= player.field.length) {
+            return `Invalid attacker index: ${attackerIndex}`;
+        }
+        
+        if (!Number.isInteger(targetIndex) || targetIndex < -1 || targetIndex >= opponent.field.length) {
+            return `Invalid attack target: ${targetIndex}`;
         }
 
         const attacker = player.field[attackerIndex];
         
-        // CRITICAL: Use Card class canAttack method
+        if (attacker.cannotAttack) {
+            return `${attacker.name} can't attack!`;
+        }
+        
+        // CRITICAL: Use Card class canAttack method (Windfury allows a second attack)
         if (!attacker.canAttack()) {
-            console.log(`❌ ${attacker.name} cannot attack: tapped=${attacker.tapped}, frozen=${attacker.frozen}, hasAttacked=${attacker.hasAttackedThisTurn}`);
-            this.addLog(`${attacker.name} cannot attack right now!`);
-            return false;
+            return `${attacker.name} cannot attack right now!`;
         }
         
         // Check Rush restriction for face attacks
         if (targetIndex === -1 && attacker.canOnlyAttackCreatures) {
-            console.log(`❌ ${attacker.name} with Rush can only attack creatures this turn!`);
-            this.addLog(`${attacker.name} with Rush can only attack creatures this turn!`);
-            return false;
+            return `${attacker.name} with Rush can only attack creatures this turn!`;
         }
         
-        // Check Taunt creatures
-        const taunts = opponent.field.filter(c => c.ability === 'Taunt' || c.taunt);
-        if (taunts.length > 0) {
-            if (targetIndex === -1) {
-                console.log(`❌ Must attack Taunt creatures first!`);
-                this.addLog(`Must attack Taunt creatures first!`);
-                return false;
-            } else if (targetIndex >= 0 && targetIndex < opponent.field.length) {
-                const target = opponent.field[targetIndex];
-                if (!target.taunt && target.ability !== 'Taunt') {
-                    console.log(`❌ Must attack Taunt creatures first!`);
-                    this.addLog(`Must attack Taunt creatures first!`);
-                    return false;
-                }
+        // Check Taunt creatures ("Cannot be blocked" ignores them)
+        const taunts = opponent.field.filter(c => c.taunt);
+        if (taunts.length > 0 && !hasKeyword(attacker, 'unblockable')) {
+            if (targetIndex === -1 || !opponent.field[targetIndex].taunt) {
+                return 'Must attack Taunt creatures first!';
             }
         }
         
         // Validate creature target
-        if (targetIndex >= 0 && targetIndex < opponent.field.length) {
+        if (targetIndex >= 0) {
             const target = opponent.field[targetIndex];
             
             // Check if target can be attacked
-            if (!target.tapped && !target.taunt && target.ability !== 'Taunt') {
-                console.log(`❌ Cannot attack ${target.name} - defending creatures must be tapped or have Taunt!`);
-                this.addLog(`Cannot attack defending creatures!`);
-                return false;
+            if (!target.tapped && !target.taunt) {
+                return `Cannot attack ${target.name} - defending creatures must be tapped or have Taunt!`;
             }
             
             // Check Stealth
             if (target.stealth) {
-                console.log(`❌ Cannot attack ${target.name} - stealthed!`);
-                this.addLog(`Cannot attack stealthed creatures!`);
-                return false;
+                return `Cannot attack ${target.name} - stealthed!`;
             }
             
             // Check Flying
-            if (target.ability === 'Flying') {
-                if (attacker.ability !== 'Flying' && attacker.ability !== 'Reach') {
-                    console.log(`❌ Cannot reach ${target.name} - need Flying or Reach!`);
-                    this.addLog(`Cannot reach flying creatures without Flying or Reach!`);
-                    return false;
+            if (hasKeyword(target, 'flying')) {
+                if (!hasKeyword(attacker, 'flying') && !hasKeyword(attacker, 'reach')) {
+                    return `Cannot reach ${target.name} - need Flying or Reach!`;
                 }
             }
         }
         
+        return null;
+    }
+
+    processAttack(playerIndex, attackerIndex, targetIndex) {
+        const player = this.players[playerIndex];
+        const opponent = this.players[1 - playerIndex];
+        
+        this.log(`⚔️ Player ${playerIndex + 1} attacking with creature ${attackerIndex} at target ${targetIndex}`);
+        
+        const error = this.getAttackError(playerIndex, attackerIndex, targetIndex);
+        if (error) {
+            return this.reject(error);
+        }
+
+        const attacker = player.field[attackerIndex];
+        
         // Remove stealth when attacking
         if (attacker.stealth) {
             attacker.stealth = false;
-            this.addLog(`${attacker.name} loses stealth!`);
+            this.logEvent(EVENT_TYPES.STEALTH_LOST, { source: cardRef(attacker, playerIndex) });
         }
         
         // CRITICAL: Use Card class markAttacked method
         attacker.markAttacked();
-        console.log(`✅ ${attacker.name} marked as having attacked this turn`);
+        this.log(`✅ ${attacker.name} marked as having attacked this turn`);
+        
+        // Attack Triggers resolve before combat damage
+        const defender = opponent.field[targetIndex];
+        this.fireTrigger('attack', { playerIndex, card: attacker });
+        this.checkCreatureDeaths();
+        if (this.checkGameOver()) {
+            this.recordAction({ action: 'attack', playerIndex, attackerIndex, targetIndex });
+            return true;
+        }
         
         if (targetIndex === -1) {
             // Attack opponent directly
             const damage = attacker.attack || 0;
-            opponent.health -= damage;
-            this.addLog(`${attacker.name} attacks for ${damage} damage!`);
-            console.log(`  Direct attack: ${damage} damage to Player ${(1 - playerIndex) + 1}`);
+            const source = cardRef(attacker, playerIndex);
+            this.logEvent(EVENT_TYPES.ATTACK, { source, targets: [heroRef(1 - playerIndex)] });
             
-            // Handle lifesteal
-            if (attacker.ability?.includes('Lifesteal') || attacker.ability?.includes('Lifelink')) {
-                player.health = Math.min(player.maxHealth, player.health + damage);
-                this.addLog(`Lifesteal heals for ${damage}!`);
+            // Double Strike hits the hero twice in the one attack
+            const strikes = hasKeyword(attacker, 'doubleStrike') ? 2 : 1;
+            for (let strike = 0; strike < strikes && !this.gameOver; strike++) {
+                this.damagePlayer(1 - playerIndex, damage, source);
+                this.log(`  Direct attack: ${damage} damage to Player ${(1 - playerIndex) + 1}`);
+                
+                // Handle lifesteal
+                if (hasKeyword(attacker, 'lifesteal')) {
+                    this.healPlayer(playerIndex, damage, source);
+                }
+                
+                this.checkGameOver();
             }
-            
-            this.checkGameOver();
-        } else if (targetIndex >= 0 && targetIndex < opponent.field.length) {
-            // Creature combat using Game.js logic
-            this.creatureCombat(playerIndex, attacker, opponent.field[targetIndex]);
+        } else if (defender && opponent.field.includes(defender) && player.field.includes(attacker)) {
+            // Creature combat using Game.js logic (either side may have died to an Attack Trigger)
+            this.creatureCombat(playerIndex, attacker, defender);
         }
         
+        this.recordAction({ action: 'attack', playerIndex, attackerIndex, targetIndex });
         return true;
     }
 
     creatureCombat(attackerOwner, attacker, target) {
-        console.log(`[COMBAT] ${attacker.name} (${attacker.attack}/${attacker.health}) attacks ${target.name} (${target.attack}/${target.health})`);
+        this.log(`[COMBAT] ${attacker.name} (${attacker.attack}/${attacker.health}) attacks ${target.name} (${target.attack}/${target.health})`);
         
-        const attackerPlayer = this.players[attackerOwner];
-        const defenderPlayer = this.players[1 - attackerOwner];
+        const defenderOwner = 1 - attackerOwner;
+        const attackerSource = cardRef(attacker, attackerOwner);
+        const targetSource = cardRef(target, defenderOwner);
+        
+        this.logEvent(EVENT_TYPES.ATTACK, { source: attackerSource, targets: [targetSource] });
         
         if (target.immune || target.tempImmune) {
-            this.addLog(`${target.name} is Immune!`);
+            this.logEvent(EVENT_TYPES.DAMAGE_PREVENTED, { source: attackerSource, targets: [targetSource] });
             return;
         }
         
-        let attackerDamage = attacker.attack;
-        let targetDamage = target.attack;
+        const targetHealthBefore = target.health;
         
-        // Handle Divine Shield
-        if (target.divineShield) {
-            target.divineShield = false;
-            this.addLog(`${target.name}'s Divine Shield absorbs the damage!`);
-            attackerDamage = 0;
+        // Combat damage resolves in two steps: First Strike and Double Strike creatures
+        // deal theirs in the first, everything else (and Double Strike again) in the
+        // second. Within a step both sides hit at once; a creature killed in the first
+        // step doesn't get to strike back. Divine Shield soaks up one hit.
+        const strikesIn = (card, firstStep) => firstStep
+            ? hasKeyword(card, 'firstStrike') || hasKeyword(card, 'doubleStrike')
+            : !hasKeyword(card, 'firstStrike') || hasKeyword(card, 'doubleStrike');
+        let attackerDamage = 0;
+        let targetDamage = 0;
+        for (const firstStep of [true, false]) {
+            if (attacker.health <= 0 || target.health <= 0) break;
+            const attackerHit = strikesIn(attacker, firstStep) ? attacker.attack : 0;
+            const targetHit = strikesIn(target, firstStep) ? target.attack : 0;
+            if (this.damageCreature(target, defenderOwner, attackerHit, attackerSource) > 0) {
+                attackerDamage += attackerHit;
+            }
+            if (this.damageCreature(attacker, attackerOwner, targetHit, targetSource) > 0) {
+                targetDamage += targetHit;
+            }
         }
         
-        if (attacker.divineShield && targetDamage > 0) {
-            attacker.divineShield = false;
-            this.addLog(`${attacker.name}'s Divine Shield absorbs the damage!`);
-            targetDamage = 0;
+        // Handle Splash - combat damage also hits the creatures next to the one struck
+        if (attackerDamage > 0) {
+            this.splashDamage(attacker, attackerOwner, target, defenderOwner);
         }
-        
-        // Handle First Strike
-        if (attacker.ability === 'First Strike' && !target.ability?.includes('First Strike')) {
-            const damageDealt = target.takeDamage(attackerDamage);
-            if (target.ability === 'Enrage' && target.health > 0) {
-                this.addLog(`${target.name} enrages! +2 attack!`);
-            }
-            if (target.health > 0) {
-                const damageTaken = attacker.takeDamage(targetDamage);
-                if (attacker.ability === 'Enrage' && attacker.health > 0) {
-                    this.addLog(`${attacker.name} enrages! +2 attack!`);
-                }
-            }
-        } else if (target.ability === 'First Strike' && !attacker.ability?.includes('First Strike')) {
-            const damageTaken = attacker.takeDamage(targetDamage);
-            if (attacker.ability === 'Enrage' && attacker.health > 0) {
-                this.addLog(`${attacker.name} enrages! +2 attack!`);
-            }
-            if (attacker.health > 0) {
-                const damageDealt = target.takeDamage(attackerDamage);
-                if (target.ability === 'Enrage' && target.health > 0) {
-                    this.addLog(`${target.name} enrages! +2 attack!`);
-                }
-            }
-        } else {
-            // Normal combat - both take damage simultaneously
-            const targetDamageDealt = target.takeDamage(attackerDamage);
-            const attackerDamageTaken = attacker.takeDamage(targetDamage);
-            
-            // Check if Enrage triggered
-            if (target.ability === 'Enrage' && target.health > 0 && targetDamageDealt > 0) {
-                this.addLog(`${target.name} enrages! +2 attack!`);
-            }
-            if (attacker.ability === 'Enrage' && attacker.health > 0 && attackerDamageTaken > 0) {
-                this.addLog(`${attacker.name} enrages! +2 attack!`);
-            }
+        if (targetDamage > 0) {
+            this.splashDamage(target, defenderOwner, attacker, attackerOwner);
         }
         
         // Handle Poison/Deathtouch/Instant kill
-        if ((attacker.ability === 'Poison' || attacker.ability === 'Deathtouch' || 
-             attacker.ability === 'Instant kill' || attacker.instantKill) && attackerDamage > 0) {
+        if ((hasKeyword(attacker, 'poison') || attacker.instantKill) && attackerDamage > 0) {
             target.health = 0;
-            this.addLog(`${attacker.name}'s deadly ability destroys ${target.name}!`);
+            this.logEvent(EVENT_TYPES.DESTROY, { source: attackerSource, targets: [targetSource] });
         }
         
-        if ((target.ability === 'Poison' || target.ability === 'Deathtouch') && targetDamage > 0) {
+        if (hasKeyword(target, 'poison') && targetDamage > 0) {
             attacker.health = 0;
-            this.addLog(`${target.name}'s deadly ability destroys ${attacker.name}!`);
+            this.logEvent(EVENT_TYPES.DESTROY, { source: targetSource, targets: [attackerSource] });
         }
         
         // Handle Freeze enemy
-        if (attacker.ability === 'Freeze enemy' && target.health > 0) {
-            target.frozen = true;
-            this.addLog(`${target.name} is frozen!`);
+        if (hasKeyword(attacker, 'freezeEnemy') && target.health > 0) {
+            this.freezeCreature(target, defenderOwner, attackerSource);
         }
         
         // Handle Trample
-        if (attacker.ability === 'Trample' && target.health <= 0) {
-            const excess = Math.abs(target.health);
+        if (hasKeyword(attacker, 'trample') && target.health <= 0) {
+            // takeDamage caps at remaining health, so work the excess out from health before combat
+            const excess = attackerDamage - targetHealthBefore;
             if (excess > 0) {
-                defenderPlayer.health -= excess;
-                this.addLog(`Trample deals ${excess} excess damage!`);
+                this.damagePlayer(defenderOwner, excess, attackerSource);
                 this.checkGameOver();
             }
         }
         
         // Handle Lifesteal/Lifelink
-        if ((attacker.ability?.includes('Lifesteal') || attacker.ability?.includes('Lifelink')) && attackerDamage > 0) {
+        if (hasKeyword(attacker, 'lifesteal') && attackerDamage > 0) {
             const healAmount = Math.min(attackerDamage, target.maxHealth || attackerDamage);
-            attackerPlayer.health = Math.min(attackerPlayer.maxHealth, attackerPlayer.health + healAmount);
-            this.addLog(`Lifesteal heals for ${healAmount}!`);
+            this.healPlayer(attackerOwner, healAmount, attackerSource);
         }
         
-        this.addLog(`${attacker.name} battles ${target.name}!`);
         this.checkCreatureDeaths();
     }
 
+    // Splash N: damage the neighbours of the creature `source` struck in combat
+    splashDamage(source, sourceOwner, struck, struckOwner) {
+        const splash = getKeywordValue(source, 'splash');
+        if (splash <= 0) return;
+        
+        const field = this.players[struckOwner].field;
+        const index = field.indexOf(struck);
+        [field[index - 1], field[index + 1]].filter(Boolean).forEach(neighbour => {
+            this.damageCreature(neighbour, struckOwner, splash, cardRef(source, sourceOwner));
+        });
+    }
+
     checkCreatureDeaths() {
-        // Check both players' fields for dead creatures
-        for (let playerIndex = 0; playerIndex < 2; playerIndex++) {
-            const player = this.players[playerIndex];
-            player.field = player.field.filter(creature => {
-                if (creature.health <= 0) {
-                    this.addLog(`${creature.name} was destroyed!`);
-                    
-                    // Handle Deathrattle: Draw
-                    if (creature.ability === 'Deathrattle: Draw') {
-                        this.drawCard(playerIndex);
-                        this.addLog("Deathrattle: Drew a card!");
-                    }
-                    
-                    // Handle Resurrect
-                    if (creature.ability === 'Resurrect') {
-                        const newCard = new Card({
-                            name: creature.name,
-                            cost: creature.cost,
-                            type: creature.type,
-                            attack: creature.attack,
-                            health: creature.maxHealth,
-                            ability: creature.ability,
-                            emoji: creature.emoji,
-                            rarity: creature.rarity
-                        });
-                        if (player.hand.length < 10) {
-                            player.hand.push(newCard);
-                            this.addLog(`${creature.name} returns to hand!`);
-                        }
+        // Deathrattles and lost auras can kill more creatures, so keep sweeping until the board is stable
+        this.deathCheckDepth++;
+        this.updateAuras();
+        let dead = this.removeDeadCreatures();
+        while (dead.length > 0) {
+            this.deathSweeps++;
+            if (this.deathSweeps > MAX_DEATH_SWEEPS) {
+                this.log(`⚠️ Death sweep limit reached - ${dead.length} death(s) fire no effects`);
+                this.updateAuras();
+                dead = this.removeDeadCreatures();
+                continue;
+            }
+            dead.forEach(({ creature, playerIndex }) => {
+                const player = this.players[playerIndex];
+                const source = cardRef(creature, playerIndex);
+                const definition = getCardDefinition(creature);
+                
+                // Handle Resurrect
+                if (definition.keywords.resurrect) {
+                    const newCard = this.createCard({
+                        name: creature.name,
+                        cost: creature.cost,
+                        type: creature.type,
+                        attack: creature.attack - (creature.auraAttack || 0),
+                        health: creature.maxHealth - (creature.auraHealth || 0),
+                        ability: creature.ability,
+                        emoji: creature.emoji,
+                        rarity: creature.rarity,
+                        color: creature.color
+                    });
+                    if (this.addToHand(playerIndex, newCard)) {
+                        this.logEvent(EVENT_TYPES.RETURN_TO_HAND, { source: cardRef(newCard, playerIndex) });
                     }
-                    
-                    // Add to graveyard
-                    player.graveyard.push(creature);
-                    return false;
                 }
-                return true;
+                
+                // Handle Deathrattle effects, then let the rest of the field react
+                if (definition.onDeath.length > 0) {
+                    this.logEvent(EVENT_TYPES.ABILITY_TRIGGERED, { source, ability: creature.ability });
+                    this.resolveEffects(playerIndex, creature, definition.onDeath);
+                }
+                this.fireTrigger('creatureDied', { playerIndex, card: creature });
             });
+            this.updateAuras();
+            dead = this.removeDeadCreatures();
+        }
+        this.deathCheckDepth--;
+        if (this.deathCheckDepth === 0) {
+            this.deathSweeps = 0;
         }
         
         // Update spell power after deaths
         this.updateSpellPower();
     }
 
-    endTurn(playerIndex) {
+    // Move creatures with no health left to the graveyard; returns what died
+    removeDeadCreatures() {
+        const dead = [];
+        this.players.forEach((player, playerIndex) => {
+            player.field = player.field.filter(creature => {
+                if (creature.health > 0) {
+                    return true;
+                }
+                this.logEvent(EVENT_TYPES.CREATURE_DIED, { source: cardRef(creature, playerIndex) });
+                player.graveyard.push(creature);
+                dead.push({ creature, playerIndex });
+                return false;
+            });
+        });
+        return dead;
+    }
+
+    // Every action the player could legally send right now, in applyAction's format:
+    //   { action: 'playCard', cardIndex, target }    - one per valid target
+    //   { action: 'attack', attackerIndex, targetIndex } - targetIndex -1 is the enemy hero
+    //   { action: 'endTurn' }
+    // Mana, field space, targeting, summoning sickness, frozen, Rush, Taunt,
+    // Stealth and Flying/Reach are all checked by the same rules as the actions themselves.
+    getLegalActions(playerIndex) {
+        if (this.getTurnError(playerIndex)) {
+            return [];
+        }
+        
+        const player = this.players[playerIndex];
+        const opponent = this.players[1 - playerIndex];
+        const actions = [];
+        
+        player.hand.forEach((card, cardIndex) => {
+            const targets = this.getLegalTargets(playerIndex, card).map(t => this.toPublicTarget(playerIndex, t));
+            const candidates = CHOSEN_TARGETING.includes(getCardDefinition(card).targeting) && targets.length > 0
+                ? targets
+                : [null];
+            candidates
+                .filter(target => !this.getPlayError(playerIndex, cardIndex, target))
+                .forEach(target => actions.push({ action: 'playCard', cardIndex, target }));
+        });
+        
+        player.field.forEach((attacker, attackerIndex) => {
+            for (let targetIndex = -1; targetIndex < opponent.field.length; targetIndex++) {
+                if (!this.getAttackError(playerIndex, attackerIndex, targetIndex)) {
+                    actions.push({ action: 'attack', attackerIndex, targetIndex });
+                }
+            }
+        });
+        
+        actions.push({ action: 'endTurn' });
+        return actions;
+    }
+
+    // Why a client action can't be applied right now, or null if it's legal.
+    // Uses the same checks as getLegalActions.
+    validateAction(playerIndex, data) {
+        switch (data.action) {
+            case 'playCard':
+                return this.getPlayError(playerIndex, Number(data.cardIndex), data.target);
+            case 'attack':
+                return this.getAttackError(playerIndex, Number(data.attackerIndex), Number(data.targetIndex));
+            case 'endTurn':
+                return this.getTurnError(playerIndex);
+            case 'mulligan':
+                return this.getMulliganError(playerIndex, data.cardIndices);
+            default:
+                return `Unknown game action: ${data.action}`;
+        }
+    }
+
+    // Apply a client/replay action ({ action, ...params }); returns false if illegal
+    applyAction(playerIndex, data) {
+        switch (data.action) {
+            case 'playCard':
+                return this.playCard(playerIndex, Number(data.cardIndex), data.target);
+            case 'attack':
+                return this.processAttack(playerIndex, Number(data.attackerIndex), Number(data.targetIndex));
+            case 'endTurn':
+                return this.endTurn(playerIndex);
+            case 'mulligan':
+                return this.mulligan(playerIndex, data.cardIndices);
+            default:
+                this.log(`❌ Unknown game action: ${data.action}`);
+                return false;
+        }
+    }
+
+    // Append an applied action to the replay log, stamped with the turn it happened on
+    recordAction(entry) {
+        this.actionLog.push({ ...entry, turn: this.totalTurns });
+    }
+
+    // Everything needed to re-simulate this game from scratch
+    getReplay() {
+        return {
+            version: 3,
+            roomId: this.roomId,
+            seed: this.seed,
+            options: this.options,
+            decks: this.initialDecks,
+            actions: this.actionLog
+        };
+    }
+
+    // Actions are only legal for the active player while the game is running
+    isActivePlayer(playerIndex) {
+        const error = this.getTurnError(playerIndex);
+        return error ? this.reject(error) : true;
+    }
+
+    getTurnError(playerIndex) {
+        if (this.gameOver) {
+            return 'Game is over';
+        }
+        if (this.phase !== 'playing') {
+            return 'Mulligan in progress';
+        }
         if (this.currentTurn !== playerIndex) {
-            console.log(`⚠️ Player ${playerIndex + 1} tried to end turn but it's Player ${this.currentTurn + 1}'s turn`);
+            return `It's Player ${this.currentTurn + 1}'s turn`;
+        }
+        return null;
+    }
+
+    // Refuse an action, remembering why so the server can tell the client
+    reject(reason) {
+        this.log(`❌ ${reason}`);
+        this.lastRejection = reason;
+        return false;
+    }
+
+    endTurn(playerIndex) {
+        if (!this.isActivePlayer(playerIndex)) {
             return false;
         }
         
-        console.log(`🔄 Player ${playerIndex + 1} ending turn`);
+        this.log(`🔄 Player ${playerIndex + 1} ending turn`);
+        this.recordAction({ action: 'endTurn', playerIndex });
+        this.logEvent(EVENT_TYPES.TURN_END, { targets: [heroRef(playerIndex)] });
+        
+        // "At end of turn" triggers can end the game before the turn passes
+        this.fireTrigger('turnEnd', { playerIndex });
+        this.checkCreatureDeaths();
+        this.checkGameOver();
+        if (this.gameOver) {
+            return true;
+        }
         
-        // Remove temporary immunity
+        // Remove temporary immunity and "this turn" attack buffs
         this.players.forEach(player => {
             player.field.forEach(creature => {
                 creature.tempImmune = false;
+                if (creature.tempAttack) {
+                    creature.attack = Math.max(0, creature.attack - creature.tempAttack);
+                    creature.tempAttack = 0;
+                }
             });
         });
         
-        // Switch turns
-        this.currentTurn = 1 - this.currentTurn;
-        this.totalTurns++;
-        
-        // Increment turn number every 2 turns (one full round)
-        if (this.currentTurn === 0) {
-            this.turnNumber++;
+        // Switch turns (unless the player has an extra turn queued)
+        if (this.extraTurns[playerIndex] > 0) {
+            this.extraTurns[playerIndex]--;
+            this.log(`⏩ Player ${playerIndex + 1} takes an extra turn`);
+        } else {
+            this.currentTurn = 1 - this.currentTurn;
+            
+            // Increment turn number every 2 turns (one full round)
+            if (this.currentTurn === 0) {
+                this.turnNumber++;
+            }
         }
+        this.totalTurns++;
         
         // CRITICAL: Proper turn management from Game.js
         this.startNewTurn(this.currentTurn);
         
-        console.log(`➡️ Now Player ${this.currentTurn + 1}'s turn (Turn ${this.turnNumber})`);
+        this.log(`➡️ Now Player ${this.currentTurn + 1}'s turn (Turn ${this.turnNumber})`);
         return true;
     }
 
@@ -574,83 +1505,196 @@ class ServerGame {
         const player = this.players[playerIndex];
         
         // Increase mana
-        player.maxMana = Math.min(10, player.maxMana + 1);
+        player.maxMana = Math.min(this.options.maxMana, player.maxMana + this.options.manaPerTurn);
         player.mana = player.maxMana;
         
+        this.logEvent(EVENT_TYPES.TURN_START, {
+            targets: [heroRef(playerIndex)],
+            mana: player.mana,
+            maxMana: player.maxMana
+        });
+        
         // CRITICAL: Only reset creatures belonging to the ACTIVE player
         player.field.forEach(creature => {
             creature.resetForTurn();  // Use Card class method
-            console.log(`  ${creature.name} reset for Player ${playerIndex + 1}'s turn`);
+            this.log(`  ${creature.name} reset for Player ${playerIndex + 1}'s turn`);
         });
         
         // Handle Burn damage from opponent's creatures
         const opponent = this.players[1 - playerIndex];
-        const burnCreatures = opponent.field.filter(c => c.ability === 'Burn');
+        const burnCreatures = opponent.field.filter(c => hasKeyword(c, 'burn'));
         if (burnCreatures.length > 0) {
             const burnDamage = burnCreatures.length;
-            player.health -= burnDamage;
-            this.addLog(`Burn deals ${burnDamage} damage to Player ${playerIndex + 1}!`);
-            console.log(`  🔥 Burn damage: ${burnDamage} to Player ${playerIndex + 1}`);
+            burnCreatures.forEach(creature => {
+                this.damagePlayer(playerIndex, 1, cardRef(creature, 1 - playerIndex));
+            });
+            this.log(`  🔥 Burn damage: ${burnDamage} to Player ${playerIndex + 1}`);
             this.checkGameOver();
         }
         
+        // "Each turn" triggers resolve before the turn's draw
+        this.fireTrigger('turnStart', { playerIndex });
+        this.checkCreatureDeaths();
+        this.checkGameOver();
+        if (this.gameOver) {
+            return;
+        }
+        
         // Draw card for new turn
         this.drawCard(playerIndex);
         
-        this.addLog(`Player ${playerIndex + 1}'s turn begins!`);
-        console.log(`Turn ${this.turnNumber}: Player ${playerIndex + 1} has ${player.mana}/${player.maxMana} mana`);
+        this.log(`Turn ${this.turnNumber}: Player ${playerIndex + 1} has ${player.mana}/${player.maxMana} mana`);
     }
 
-    checkGameOver() {
-        for (let i = 0; i < 2; i++) {
-            if (this.players[i].health <= 0 && !this.gameOver) {
-                this.gameOver = true;
-                this.winner = 1 - i; // The other player wins
-                console.log(`🏆 Player ${this.winner + 1} wins! Player ${i + 1} has ${this.players[i].health} health`);
-                this.addLog(`Player ${this.winner + 1} wins!`);
-                return true;
-            }
-        }
-        return false;
+    // Deal damage to a player's hero and track it for match statistics
+    damagePlayer(playerIndex, amount, source = null) {
+        if (amount <= 0) return 0;
+        this.players[playerIndex].health -= amount;
+        this.players[playerIndex].stats.damageTaken += amount;
+        this.players[1 - playerIndex].stats.damageDealt += amount;
+        this.logEvent(EVENT_TYPES.DAMAGE, { source, targets: [heroRef(playerIndex)], amount });
+        return amount;
     }
 
-    addLog(message) {
-        this.gameLog.push({
-            message: message,
-            timestamp: Date.now(),
-            turn: this.turnNumber,
-            activePlayer: this.currentTurn + 1
-        });
+    // Restore health to a player's hero (capped at max health)
+    healPlayer(playerIndex, amount, source = null) {
+        const player = this.players[playerIndex];
+        const healed = Math.max(0, Math.min(amount, player.maxHealth - player.health));
+        player.health += healed;
+        this.logEvent(EVENT_TYPES.HEAL, { source, targets: [heroRef(playerIndex)], amount: healed });
+        return healed;
+    }
+
+    // Deal damage to a creature through Card.takeDamage, logging shields, damage and enrage
+    damageCreature(creature, ownerIndex, amount, source = null) {
+        if (amount <= 0) return 0;
+        const target = cardRef(creature, ownerIndex);
         
-        // Keep only last 20 log entries
-        if (this.gameLog.length > 20) {
-            this.gameLog = this.gameLog.slice(-20);
+        if (creature.immune || creature.tempImmune) {
+            this.logEvent(EVENT_TYPES.DAMAGE_PREVENTED, { source, targets: [target] });
+            return 0;
         }
         
-        console.log(`[GAME LOG] ${message}`);
+        const hadShield = creature.divineShield;
+        const wasEnraged = creature.enraged;
+        const dealt = creature.takeDamage(amount);
+        
+        if (hadShield && !creature.divineShield) {
+            this.logEvent(EVENT_TYPES.SHIELD_BROKEN, { source, targets: [target] });
+        }
+        if (dealt > 0) {
+            this.logEvent(EVENT_TYPES.DAMAGE, { source, targets: [target], amount: dealt });
+        }
+        if (!wasEnraged && creature.enraged) {
+            this.logEvent(EVENT_TYPES.ENRAGE, { source: target });
+        }
+        if (dealt > 0) {
+            this.fireTrigger('damaged', { playerIndex: ownerIndex, card: creature, source });
+        }
+        return dealt;
+    }
+
+    freezeCreature(creature, ownerIndex, source = null) {
+        creature.frozen = true;
+        this.logEvent(EVENT_TYPES.FREEZE, { source, targets: [cardRef(creature, ownerIndex)] });
+    }
+
+    checkGameOver() {
+        if (this.gameOver) {
+            return false;
+        }
+        const dead = [0, 1].filter(i => this.players[i].health <= 0);
+        if (dead.length === 0) {
+            return false;
+        }
+        
+        this.gameOver = true;
+        if (dead.length === 2) {
+            // Both heroes fell to the same effect
+            this.winner = null;
+            this.endReason = 'draw';
+            this.log('🤝 Both heroes fell - the game is a draw');
+        } else {
+            this.winner = 1 - dead[0]; // The other player wins
+            this.endReason = 'health';
+            this.log(`🏆 Player ${this.winner + 1} wins! Player ${dead[0] + 1} has ${this.players[dead[0]].health} health`);
+        }
+        this.logEvent(EVENT_TYPES.GAME_OVER, { winner: this.winner, reason: this.endReason });
+        return true;
+    }
+
+    // End the game in the opponent's favour.
+    // reason: 'concede' (player surrendered), 'timeout' (repeated turn timeouts)
+    // or 'disconnect' (didn't come back in time). Recorded so replays end the same way.
+    forfeit(playerIndex, reason = 'concede') {
+        if (this.gameOver) {
+            return false;
+        }
+        this.recordAction({ action: 'forfeit', playerIndex, reason });
+        this.gameOver = true;
+        this.winner = 1 - playerIndex;
+        this.endReason = reason;
+        this.log(`🏳️ Player ${playerIndex + 1} forfeits (${reason}) - Player ${this.winner + 1} wins`);
+        this.logEvent(EVENT_TYPES.GAME_OVER, { winner: this.winner, reason });
+        return true;
+    }
+
+    // Append a typed event to the match's full event history
+    logEvent(type, { source = null, targets = [], amount = null, ...details } = {}) {
+        const event = {
+            seq: ++this.eventSeq,
+            type,
+            turn: this.totalTurns,
+            activePlayer: this.currentTurn,
+            source,
+            targets,
+            amount,
+            ...details
+        };
+        this.events.push(event);
+        this.log(`[GAME EVENT] #${event.seq} ${type}${source ? ' ' + (source.name || 'Player ' + (source.playerIndex + 1)) : ''}${amount !== null ? ' ' + amount : ''}`);
+        return event;
+    }
+
+    // Events after `sinceSeq` as seen by a player (opponent's draws are hidden)
+    getEventsSince(sinceSeq = 0, playerIndex = null) {
+        const events = this.events.filter(event => event.seq > sinceSeq);
+        if (playerIndex === null) {
+            return events;
+        }
+        return events.map(event => redactEvent(event, playerIndex));
     }
 
     // Get current game state for client sync
     getGameState() {
         return {
-            players: this.players.map(player => ({
-                health: player.health,
-                maxHealth: player.maxHealth,
-                mana: player.mana,
-                maxMana: player.maxMana,
-                hand: player.hand,
-                deck: { length: player.deck.length }, // Hide deck contents
-                field: player.field,
-                graveyard: player.graveyard,
-                spellsCount: player.spellsCount,
-                spellPower: player.spellPower
-            })),
+            players: this.players.map((player, playerIndex) => {
+                const handLimit = this.getHandLimit(playerIndex);
+                return {
+                    health: player.health,
+                    maxHealth: player.maxHealth,
+                    mana: player.mana,
+                    maxMana: player.maxMana,
+                    // currentCost includes cost modifiers and auras
+                    hand: player.hand.map(card => ({ ...card, currentCost: this.getCardCost(card, playerIndex) })),
+                    deck: { length: player.deck.length }, // Hide deck contents
+                    field: player.field,
+                    graveyard: player.graveyard,
+                    spellsCount: player.spellsCount,
+                    spellPower: player.spellPower,
+                    handLimit: Number.isFinite(handLimit) ? handLimit : null, // null = unlimited
+                    fatigue: player.fatigue || 0   // Last fatigue hit; the next empty-deck draw deals one more
+                };
+            }),
+            phase: this.phase,
+            mulliganDone: this.mulliganDone,
             currentTurn: this.currentTurn,
             turnNumber: this.turnNumber,
             totalTurns: this.totalTurns,
             gameOver: this.gameOver,
             winner: this.winner,
-            gameLog: this.gameLog.slice(-5) // Send last 5 log entries
+            endReason: this.endReason,
+            lastEventSeq: this.eventSeq // Fetch details via getEventsSince
         };
     }
 
@@ -668,4 +1712,6 @@ class ServerGame {
     }
 }
 
+ServerGame.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
 module.exports = ServerGame;
\ No newline at end of file
@@ -0,0 +1,573 @@
+// Data-driven ability definitions for the server game engine
+// Card ability text is parsed once into a structured definition that ServerGame
+// runs, instead of comparing ability strings all over the engine:
+//
+//   {
+//     text,
+//     keywords: { taunt: true, spellPower: 1, splash: 2, ... },
+//     onPlay: [effect],        // Battlecry / "when played" / spell effects
+//     targeting,               // How onPlay picks its target (see TARGETING)
+//     onDeath: [effect],       // Deathrattle effects
+//     triggers: [{ on, scope, color?, effects }], // See TRIGGER_RULES and ServerGame.fireTrigger
+//     auras: [aura],           // Continuous effects while on the field (see parseAuraClause)
+//     costModifiers: [mod],    // "Costs 1 less for each ..." on the card itself
+//     unsupported: [clause]    // Clauses with no definition (see getAbilityReport)
+//   }
+//
+// An effect is { effect, targets, ...params }, e.g.
+//   { effect: 'damage', amount: 3, targets: 'chosen' }
+//   { effect: 'summon', count: 2, token: { name, attack, health, ability } }
+// See ServerGame.applyEffect for the effect vocabulary and target specs.
+
+// Keyword text -> canonical keyword (aliases share a keyword)
+const KEYWORDS = {
+    'Taunt': 'taunt',
+    'Flying': 'flying',
+    'Reach': 'reach',
+    'Charge': 'charge',
+    'Quick': 'charge',
+    'Haste': 'charge',
+    'Rush': 'rush',
+    'Vigilance': 'vigilance',
+    'Stealth': 'stealth',
+    'Divine Shield': 'divineShield',
+    'Spell Shield': 'spellShield',
+    'Lifesteal': 'lifesteal',
+    'Lifelink': 'lifesteal',
+    'Poison': 'poison',
+    'Deathtouch': 'poison',
+    'Instant kill': 'poison',
+    'First Strike': 'firstStrike',
+    'Trample': 'trample',
+    'Windfury': 'windfury',
+    'Double Strike': 'doubleStrike',
+    'Regenerate': 'regenerate',
+    'Enrage': 'enrage',
+    'Burn': 'burn',
+    'Freeze enemy': 'freezeEnemy',
+    'Freeze enemy when attacking': 'freezeEnemy',
+    'Resurrect': 'resurrect',
+    "Can't attack": 'cannotAttack',
+    'Cannot attack': 'cannotAttack',
+    'Cannot be blocked': 'unblockable'
+};
+
+// Keywords that carry a number: [regex, keyword]
+const VALUE_KEYWORDS = [
+    [/^Spell Power \+(\d+)$/i, 'spellPower'],
+    [/^Splash (\d+)$/i, 'splash']
+];
+
+// Case-insensitive keyword lookup ("taunt", "Divine shield")
+const KEYWORD_LOOKUP = Object.fromEntries(
+    Object.entries(KEYWORDS).map(([text, keyword]) => [text.toLowerCase(), keyword])
+);
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5 };
+
+function parseCount(word) {
+    if (word === undefined) return 1;
+    return NUMBER_WORDS[word.toLowerCase()] ?? parseInt(word);
+}
+
+// "Treants" -> "Treant" for tokens summoned in multiples
+function singularize(name, count) {
+    return count > 1 && name.endsWith('s') ? name.slice(0, -1) : name;
+}
+
+// "Taunt", "Charge and Trample" -> token ability text "Taunt", "Charge. Trample"
+function tokenAbility(withText) {
+    return withText ? withText.split(/\s+and\s+/).join('. ') : '';
+}
+
+// Target phrase after "to" -> target spec
+const DAMAGE_TARGETS = {
+    'any target': 'chosen',
+    'target': 'chosen',
+    'enemy': 'enemyHero',
+    'enemy player': 'enemyHero',
+    'attacker': 'eventSource',
+    'yourself': 'ownHero',
+    'all enemies': 'allEnemies',
+    'all enemy creatures': 'allEnemyCreatures',
+    'all creatures': 'allCreatures',
+    'all other creatures': 'allOtherCreatures',
+    'all creatures and enemy player': 'allCreaturesAndEnemyHero',
+    'all creatures and heroes': 'allCharacters',
+    'all': 'allCharacters'
+};
+
+// Targeting model: how a card's onPlay effects pick targets, from the target specs they use.
+// The first three need the player to choose a target when the card is played.
+const TARGETING = {
+    chosen: 'any',                          // Any character - either hero or any creature
+    chosenCreature: 'enemyCreature',        // An enemy creature
+    chosenFriendlyCreature: 'friendlyCreature', // One of your creatures
+    randomEnemyCreature: 'random',          // Picked by the game
+    enemyHero: 'hero',
+    ownHero: 'hero'
+};
+const CHOSEN_TARGETING = ['any', 'enemyCreature', 'friendlyCreature'];
+
+// Targeting mode for a list of effects: a chosen target wins over random, then
+// area ('all'), then fixed hero targets; 'none' if nothing is targeted
+function getTargeting(effects) {
+    const modes = effects.filter(effect => effect.targets)
+        .map(effect => TARGETING[effect.targets] || (effect.targets === 'self' ? 'none' : 'all'));
+    return CHOSEN_TARGETING.find(mode => modes.includes(mode)) ||
+        ['random', 'all', 'hero'].find(mode => modes.includes(mode)) ||
+        'none';
+}
+
+// Effect clause rules: [regex, match => effects[]]
+// Clauses are matched whole, after Battlecry:/Deathrattle:/"when played" are stripped
+const EFFECT_RULES = [
+    // Damage
+    [/^Deal (\d+) damage(?: to (.+))?$/, m => {
+        const targets = m[2] === undefined ? 'chosen' : DAMAGE_TARGETS[m[2]];
+        return targets ? [{ effect: 'damage', amount: parseInt(m[1]), targets }] : null;
+    }],
+    [/^Deal (\d+) damage, Freeze$/, m => [
+        { effect: 'damage', amount: parseInt(m[1]), targets: 'chosen' },
+        { effect: 'freeze', targets: 'chosen' }
+    ]],
+    [/^Damage$/, () => [{ effect: 'damage', amount: 2, targets: 'enemyHero' }]],
+    [/^AOE damage$/, () => [{ effect: 'damage', amount: 2, targets: 'allEnemyCreatures' }]],
+
+    // Health gain / loss
+    [/^(?:Restore|Gain|You gain) (\d+) health$/, m => [{ effect: 'heal', amount: parseInt(m[1]), targets: 'ownHero' }]],
+    [/^Restore (\d+) health to all allies$/, m => [{ effect: 'heal', amount: parseInt(m[1]), targets: 'allFriendlyCharacters' }]],
+    [/^Heal all allies(?: to full)?$/, () => [{ effect: 'heal', amount: 'full', targets: 'allFriendlyCreatures' }]],
+    [/^(?:Lose|You take) (\d+) (?:health|damage)$/, m => [{ effect: 'damage', amount: parseInt(m[1]), targets: 'ownHero' }]],
+    [/^Loses (\d+) health$/, m => [{ effect: 'damage', amount: parseInt(m[1]), targets: 'self' }]],
+    [/^Enemy loses (\d+) health$/, m => [{ effect: 'damage', amount: parseInt(m[1]), targets: 'enemyHero' }]],
+    [/^All enemies lose (\d+) health$/, m => [{ effect: 'damage', amount: parseInt(m[1]), targets: 'allEnemies' }]],
+
+    // Card draw
+    [/^Draw (?:a )?card$/, () => [{ effect: 'draw', count: 1 }]],
+    [/^Draw$/, () => [{ effect: 'draw', count: 1 }]],
+    [/^(?:You )?[Dd]raw (\d+)(?: cards?)?$/, m => [{ effect: 'draw', count: parseInt(m[1]) }]],
+    [/^Draw (\d+) cards$/, m => [{ effect: 'draw', count: parseInt(m[1]) }]],
+
+    // Stat changes (one-shot)
+    [/^All allies (?:gain )?\+(\d+)\/\+(\d+)$/, m => [{ effect: 'buff', attack: parseInt(m[1]), health: parseInt(m[2]), targets: 'allFriendlyCreatures' }]],
+    [/^All (?:your|friendly) creatures gain \+(\d+)\/\+(\d+)$/, m => [{ effect: 'buff', attack: parseInt(m[1]), health: parseInt(m[2]), targets: 'allFriendlyCreatures' }]],
+    [/^All (?:your )?(Crimson|Azure|Verdant|Umbral) creatures gain \+(\d+)\/\+(\d+)$/, m => [{ effect: 'buff', attack: parseInt(m[2]), health: parseInt(m[3]), targets: 'allFriendlyCreatures', color: m[1].toLowerCase() }]],
+    [/^All (?:your )?creatures gain \+(\d+) attack this turn$/, m => [{ effect: 'buff', attack: parseInt(m[1]), health: 0, targets: 'allFriendlyCreatures', untilEndOfTurn: true }]],
+    [/^Your (Crimson|Azure|Verdant|Umbral) creatures gain \+(\d+) attack this turn$/, m => [{ effect: 'buff', attack: parseInt(m[2]), health: 0, targets: 'allFriendlyCreatures', color: m[1].toLowerCase(), untilEndOfTurn: true }]],
+    [/^All enemy creatures get -(\d+)\/-(\d+)$/, m => [{ effect: 'buff', attack: -parseInt(m[1]), health: -parseInt(m[2]), targets: 'allEnemyCreatures' }]],
+    [/^(?:This )?[Gg]ains? \+(\d+)\/\+(\d+)$/, m => [{ effect: 'buff', attack: parseInt(m[1]), health: parseInt(m[2]), targets: 'self' }]],
+
+    // Freeze
+    [/^Freeze(?: target)?(?: creature)?$/, () => [{ effect: 'freeze', targets: 'chosenCreature' }]],
+    [/^Freeze all enemy creatures$/, () => [{ effect: 'freeze', targets: 'allEnemyCreatures' }]],
+
+    // Destroy
+    [/^Destroy (?:target )?creature$/, () => [{ effect: 'destroy', targets: 'chosenCreature' }]],
+    [/^Destroy (?:target )?creature with (\d+)\+ attack$/, m => [{ effect: 'destroy', targets: 'chosenCreature', minAttack: parseInt(m[1]) }]],
+    [/^Destroy ally$/, () => [{ effect: 'destroy', targets: 'chosenFriendlyCreature' }]],
+    [/^Destroy all allies$/, () => [{ effect: 'destroy', targets: 'allFriendlyCreatures' }]],
+    [/^Destroy all(?: creatures)?$/, () => [{ effect: 'destroy', targets: 'allCreatures' }]],
+    [/^Destroy random enemy creature$/, () => [{ effect: 'destroy', targets: 'randomEnemyCreature' }]],
+
+    // Summon tokens
+    [/^Summon (?:(a|an|one|two|three|four|five|\d+) )?(\d+)\/(\d+) ([A-Z][A-Za-z ]*?)(?: with (.+))?$/, m => {
+        const count = parseCount(m[1]);
+        return [{
+            effect: 'summon',
+            count,
+            token: {
+                name: singularize(m[4], count),
+                attack: parseInt(m[2]),
+                health: parseInt(m[3]),
+                ability: tokenAbility(m[5])
+            }
+        }];
+    }],
+    [/^Summon skeletons$/, () => [{ effect: 'summon', count: 2, token: { name: 'Skeleton', attack: 1, health: 1, ability: '', emoji: '💀' } }]],
+
+    // Bounce
+    [/^Return (?:target )?creature to (?:its )?(?:owner's )?hand$/, () => [{ effect: 'returnToHand', targets: 'chosenCreature' }]],
+    [/^Return to hand(?: with \+(\d+)\/\+(\d+))?$/, m => [{
+        effect: 'returnToHand',
+        targets: 'self',
+        ...(m[1] ? { attack: parseInt(m[1]), health: parseInt(m[2]) } : {})
+    }]],
+    [/^Return all creatures to their owner's hands$/, () => [{ effect: 'returnToHand', targets: 'allCreatures' }]],
+    [/^Return all other creatures to hand$/, () => [{ effect: 'returnToHand', targets: 'allOtherCreatures' }]],
+
+    // Hand disruption
+    [/^Enemy discards (a|an|one|two|three|\d+) cards?$/, m => [{ effect: 'discard', count: parseCount(m[1]), targets: 'enemyHero' }]],
+
+    // Control / transform
+    [/^Steal creature$/, () => [{ effect: 'steal', targets: 'chosenCreature' }]],
+    [/^Silence$/, () => [{ effect: 'silence', targets: 'chosenCreature' }]],
+    [/^Transform all creatures into (\d+)\/(\d+) ([A-Z][A-Za-z ]*)$/, m => [{
+        effect: 'transform',
+        targets: 'allCreatures',
+        token: { name: singularize(m[3], 2), attack: parseInt(m[1]), health: parseInt(m[2]), ability: '' }
+    }]],
+
+    // Extra turns
+    [/^(?:Take an |Take (a|one|two|three) )?[Ee]xtra turns?(?: after this one)?$/, m => [{ effect: 'extraTurn', count: parseCount(m[1]) }]],
+
+    // Temporary mana
+    [/^Gain (\d+) mana(?: this turn)?$/, m => [{ effect: 'gainMana', amount: parseInt(m[1]) }]]
+];
+
+// Triggered clauses: [regex, { on, scope }]; the `effect` group is an effect clause.
+// on: the game event subscribed to (attack, damaged, creatureDied, spellCast, turnStart, turnEnd)
+// scope: whose event it must be - 'self' (this card), 'friendly' (this card's owner) or 'any'
+const TRIGGER_RULES = [
+    [/^Attack Trigger: (?<effect>.+)$/, { on: 'attack', scope: 'self' }],
+    [/^(?<effect>.+) when attacking$/, { on: 'attack', scope: 'self' }],
+    [/^Whenever this takes damage, (?<effect>.+)$/, { on: 'damaged', scope: 'self' }],
+    [/^Whenever (?:an )?ally dies, (?<effect>.+)$/, { on: 'creatureDied', scope: 'friendly' }],
+    [/^(?<effect>.+) when ally dies$/, { on: 'creatureDied', scope: 'friendly' }],
+    [/^Whenever (?:a )?creature dies, (?<effect>.+)$/, { on: 'creatureDied', scope: 'any' }],
+    [/^Whenever you cast (?:a )?(?:(?<color>Crimson|Azure|Verdant|Umbral) )?spell, (?<effect>.+)$/, { on: 'spellCast', scope: 'friendly' }],
+    [/^(?<effect>.+) each turn$/, { on: 'turnStart', scope: 'friendly' }],
+    [/^(?<effect>.+) at end of turn$/, { on: 'turnEnd', scope: 'friendly' }]
+];
+
+function parseEffectClause(clause) {
+    for (const [regex, build] of EFFECT_RULES) {
+        const match = clause.match(regex);
+        if (match) {
+            const effects = build(match);
+            if (effects) return effects;
+        }
+    }
+    return null;
+}
+
+// Triggers and Deathrattles have nobody to choose a target: "Deal 1 damage" goes to the
+// enemy hero and creature-only effects pick a random enemy creature
+const UNCHOSEN_TARGETS = {
+    chosen: 'enemyHero',
+    chosenCreature: 'randomEnemyCreature'
+};
+
+function withoutChosenTargets(effects) {
+    return effects.map(effect => UNCHOSEN_TARGETS[effect.targets]
+        ? { ...effect, targets: UNCHOSEN_TARGETS[effect.targets] }
+        : effect);
+}
+
+// Parse a triggered effect, which may chain clauses ("draw a card and deal 2 damage to all enemies")
+function parseTriggerEffects(text) {
+    const capitalize = part => part.charAt(0).toUpperCase() + part.slice(1);
+    const whole = parseEffectClause(capitalize(text));
+    if (whole) return whole;
+
+    const parts = text.split(/\s+and\s+/).map(part => parseEffectClause(capitalize(part)));
+    return parts.length > 1 && parts.every(Boolean) ? parts.flat() : null;
+}
+
+// Parse a triggered clause -> { on, scope, color?, effects } or null
+function parseTriggerClause(clause) {
+    for (const [regex, trigger] of TRIGGER_RULES) {
+        const match = clause.match(regex);
+        if (match) {
+            const parsed = parseTriggerEffects(match.groups.effect);
+            if (!parsed) continue;
+            const effects = withoutChosenTargets(parsed);
+            return match.groups.color
+                ? { ...trigger, color: match.groups.color.toLowerCase(), effects }
+                : { ...trigger, effects };
+        }
+    }
+    return null;
+}
+
+const COLOR_NAMES = 'Crimson|Azure|Verdant|Umbral';
+const AURA_SUBJECT = new RegExp(
+    `^(?:All )?(your |enemy )?((?:${COLOR_NAMES})(?:(?: and |/)(?:${COLOR_NAMES}))*)? ?(damage spells|creatures|spells|cards) (have|cost|deal) (.+)$`,
+    'i'
+);
+
+// Parse one "have/cost/deal" part of an aura predicate into aura fields
+function parseAuraPart(verb, part) {
+    if (verb === 'have') {
+        const stats = part.match(/^([+-]\d+)\/([+-]\d+)$/);
+        if (stats) return { type: 'stat', attack: parseInt(stats[1]), health: parseInt(stats[2]) };
+        const attack = part.match(/^\+(\d+) attack$/);
+        if (attack) return { type: 'stat', attack: parseInt(attack[1]), health: 0 };
+        const keyword = parseKeyword(part);
+        if (keyword) return { type: 'keyword', keyword: keyword.keyword };
+    } else if (verb === 'cost') {
+        const minimum = part.match(/\s*\(minimum (\d+)\)$/);
+        const costText = minimum ? part.slice(0, minimum.index) : part;
+        const change = costText.match(/^(\d+) (less|more)$/);
+        const extra = minimum ? { minimum: parseInt(minimum[1]) } : {};
+        if (change) return { type: 'cost', amount: parseInt(change[1]) * (change[2] === 'less' ? -1 : 1), ...extra };
+        if (/^\d+$/.test(costText)) return { type: 'cost', setTo: parseInt(costText), ...extra };
+    } else if (verb === 'deal') {
+        const damage = part.match(/^\+(\d+) damage$/);
+        if (damage) return { type: 'spellDamage', amount: parseInt(damage[1]) };
+    }
+    return null;
+}
+
+// Parse a static aura clause -> [aura] or null
+// "Your Crimson creatures have +1 attack" ->
+//   [{ type: 'stat', side: 'friendly', colors: ['crimson'], cardType: 'creature', attack: 1, health: 0 }]
+// Aura types: stat (attack/health), keyword (granted keyword), cost (amount or setTo,
+// optional minimum), spellDamage (extra spell damage) and handSize (see parseHandSizeClause)
+function parseAuraClause(clause) {
+    const match = clause.match(AURA_SUBJECT);
+    if (!match) return null;
+
+    const base = {
+        side: match[1] && match[1].trim().toLowerCase() === 'enemy' ? 'enemy' : 'friendly',
+        colors: match[2] ? match[2].toLowerCase().split(/ and |\//) : [],
+        cardType: { 'creatures': 'creature', 'spells': 'spell', 'damage spells': 'spell', 'cards': null }[match[3].toLowerCase()]
+    };
+
+    // "have Charge and +2 attack", "cost 2 less and have +2/+2"
+    let verb = match[4].toLowerCase();
+    const auras = [];
+    for (const rawPart of match[5].split(/\s+and\s+/)) {
+        let part = rawPart;
+        const verbMatch = part.match(/^(have|cost|deal) (.+)$/);
+        if (verbMatch) {
+            verb = verbMatch[1];
+            part = verbMatch[2];
+        }
+        const aura = parseAuraPart(verb, part);
+        if (!aura) return null;
+        auras.push({ ...base, ...aura });
+    }
+    return auras;
+}
+
+// Parse a hand size clause -> [aura] or null
+// "Your maximum hand size is unlimited" -> [{ type: 'handSize', side: 'friendly', unlimited: true }]
+// Also "... is N" (setTo) and "... is increased by N" (amount)
+function parseHandSizeClause(clause) {
+    const match = clause.match(/^Your (?:maximum )?hand size is (unlimited|increased by (\d+)|(\d+))$/i);
+    if (!match) return null;
+
+    const base = { type: 'handSize', side: 'friendly', colors: [], cardType: null };
+    if (match[1].toLowerCase() === 'unlimited') return [{ ...base, unlimited: true }];
+    if (match[2]) return [{ ...base, amount: parseInt(match[2]) }];
+    return [{ ...base, setTo: parseInt(match[3]) }];
+}
+
+// What a self cost modifier counts
+const COST_COUNTERS = {
+    'spell cast': 'spellsCast',
+    'spell cast this game': 'spellsCast',
+    'enemy creature': 'enemyCreatures',
+    'friendly creature': 'friendlyCreatures',
+    'creature you control': 'friendlyCreatures',
+    'damaged creature': 'damagedCreatures',
+    'creature that died this game': 'deadCreatures',
+    'friendly creature that died': 'friendlyDeadCreatures'
+};
+
+// Parse "Costs 1 less for each enemy creature" -> [{ amount: -1, per: 'enemyCreatures' }] or null
+function parseCostModifierClause(clause) {
+    if (clause === 'Costs less per spell') {
+        return [{ amount: -1, per: 'spellsCast' }];
+    }
+    const match = clause.match(/^Costs (\d+) (less|more) (?:for each|per) (?:(Crimson|Azure|Verdant|Umbral) )?(.+?)(?: \(minimum (\d+)\))?$/);
+    if (!match || !COST_COUNTERS[match[4]]) return null;
+
+    const modifier = {
+        amount: parseInt(match[1]) * (match[2] === 'less' ? -1 : 1),
+        per: COST_COUNTERS[match[4]]
+    };
+    if (match[3]) modifier.color = match[3].toLowerCase();
+    if (match[5]) modifier.minimum = parseInt(match[5]);
+    return [modifier];
+}
+
+// Parse a single keyword -> { keyword, value } or null
+function parseKeyword(text) {
+    const keyword = KEYWORD_LOOKUP[text.toLowerCase()];
+    if (keyword) {
+        return { keyword, value: true };
+    }
+    for (const [regex, valueKeyword] of VALUE_KEYWORDS) {
+        const match = text.match(regex);
+        if (match) {
+            return { keyword: valueKeyword, value: parseInt(match[1]) };
+        }
+    }
+    return null;
+}
+
+// Parse a keyword clause, which may be a list ("Lifesteal, Flying", "Taunt and Reach")
+// -> [{ keyword, value }] or null if any part isn't a keyword
+function parseKeywordClause(clause) {
+    const keywords = clause.split(/\s*,\s*|\s+and\s+/).map(parseKeyword);
+    return keywords.every(Boolean) ? keywords : null;
+}
+
+// Parse ability text into a definition (see top of file)
+function parseAbility(text) {
+    const definition = {
+        text: text || '',
+        keywords: {},
+        onPlay: [],
+        targeting: 'none',
+        onDeath: [],
+        triggers: [],
+        auras: [],
+        costModifiers: [],
+        unsupported: []
+    };
+    if (!text) return definition;
+
+    const clauses = text.split(/\.\s*/).map(c => c.trim()).filter(Boolean);
+
+    for (const rawClause of clauses) {
+        let clause = rawClause;
+        let timing = 'onPlay';
+
+        const keywords = parseKeywordClause(clause);
+        if (keywords) {
+            keywords.forEach(({ keyword, value }) => {
+                // Repeated numeric keywords stack ("Spell Power +1. Spell Power +1")
+                definition.keywords[keyword] = typeof value === 'number'
+                    ? (definition.keywords[keyword] || 0) + value
+                    : value;
+            });
+            continue;
+        }
+
+        const auras = parseAuraClause(clause) || parseHandSizeClause(clause);
+        if (auras) {
+            definition.auras.push(...auras);
+            continue;
+        }
+
+        const costModifiers = parseCostModifierClause(clause);
+        if (costModifiers) {
+            definition.costModifiers.push(...costModifiers);
+            continue;
+        }
+
+        const trigger = parseTriggerClause(clause);
+        if (trigger) {
+            definition.triggers.push(trigger);
+            continue;
+        }
+
+        if (clause.startsWith('Battlecry: ')) {
+            clause = clause.slice('Battlecry: '.length);
+        } else if (clause.startsWith('Deathrattle: ')) {
+            clause = clause.slice('Deathrattle: '.length);
+            timing = 'onDeath';
+        }
+        clause = clause.replace(/ when played$/, '');
+
+        const effects = parseEffectClause(clause);
+        if (effects) {
+            definition[timing].push(...(timing === 'onDeath' ? withoutChosenTargets(effects) : effects));
+        } else {
+            definition.unsupported.push(rawClause);
+        }
+    }
+
+    definition.targeting = getTargeting(definition.onPlay);
+    return definition;
+}
+
+// Definitions are cached per ability text - cards with the same text share one
+const definitionCache = new Map();
+const EMPTY_DEFINITION = parseAbility('');
+
+function getAbilityDefinition(text) {
+    if (!definitionCache.has(text)) {
+        definitionCache.set(text, parseAbility(text));
+    }
+    return definitionCache.get(text);
+}
+
+// Definition for a card instance (silenced cards have none)
+function getCardDefinition(card) {
+    if (card.silenced) return EMPTY_DEFINITION;
+    return getAbilityDefinition(card.ability || '');
+}
+
+// Printed keywords plus any granted by auras (grantedKeywords is kept by ServerGame.updateAuras)
+function hasKeyword(card, keyword) {
+    return Boolean(getCardDefinition(card).keywords[keyword]) ||
+        Boolean(card.grantedKeywords && card.grantedKeywords.includes(keyword));
+}
+
+function cardHasColor(card, color) {
+    return (card.color || '').split('-').includes(color);
+}
+
+// Whether an aura's color/type filter covers a card (side is checked by the caller)
+function auraAppliesTo(aura, card) {
+    if (aura.cardType && card.type !== aura.cardType) return false;
+    return aura.colors.length === 0 || aura.colors.some(color => cardHasColor(card, color));
+}
+
+// Numeric keyword value (e.g. spellPower), 0 if absent
+function getKeywordValue(card, keyword) {
+    const value = getCardDefinition(card).keywords[keyword];
+    return typeof value === 'number' ? value : (value ? 1 : 0);
+}
+
+// Cards whose ability text has clauses with no definition
+// Returns { total, supported, unsupported: [{ name, ability, clauses }] }
+function getAbilityReport(cards) {
+    const seen = new Set();
+    const unsupported = [];
+    let total = 0;
+
+    for (const card of cards) {
+        if (seen.has(card.name)) continue;
+        seen.add(card.name);
+        total++;
+
+        const definition = parseAbility(card.ability);
+        if (definition.unsupported.length > 0) {
+            unsupported.push({ name: card.name, ability: card.ability, clauses: definition.unsupported });
+        }
+    }
+
+    return { total, supported: total - unsupported.length, unsupported };
+}
+
+module.exports = {
+    KEYWORDS,
+    CHOSEN_TARGETING,
+    parseAbility,
+    getAbilityDefinition,
+    getCardDefinition,
+    hasKeyword,
+    getKeywordValue,
+    cardHasColor,
+    auraAppliesTo,
+    getAbilityReport
+};
+
+// Run directly for the unsupported-ability report: npm run abilities:report [-- --json]
+if (require.main === module) {
+    // --json keeps stdout for the report alone: log lines, including the card
+    // database's load summary, go to stderr
+    const json = process.argv.includes('--json');
+    if (json) {
+        console.log = console.error;
+    }
+
+    const { ALL_CARDS } = require('../api/cards-data');
+    const report = getAbilityReport(ALL_CARDS);
+
+    if (json) {
+        process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    } else {
+        console.log(`\n📋 Ability coverage: ${report.supported}/${report.total} cards fully defined`);
+        console.log(`❌ ${report.unsupported.length} cards with undefined ability text:\n`);
+        report.unsupported.forEach(card => {
+            console.log(`  ${card.name}: "${card.ability}"`);
+            card.clauses.forEach(clause => console.log(`      - ${clause}`));
+        });
+    }
+}
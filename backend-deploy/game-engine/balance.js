@@ -0,0 +1,225 @@
+// Headless balance simulation - plays AI-vs-AI ServerGame matches on generated decks
+// and reports how each card performs, so card tuning can be checked against data.
+// Run: node game-engine/balance.js [--games 1000] [--difficulty hard] [--seed 1]
+//                                  [--variant standard] [--format json|csv] [--out balance-report.json]
+const ServerGame = require('./ServerGame.js');
+const ServerAI = require('./ServerAI.js');
+const SeededRandom = require('./SeededRandom.js');
+const { EVENT_TYPES } = require('./GameEvents.js');
+const { getAbilityDefinition } = require('./abilities.js');
+const { VARIANTS, resolveRules } = require('./rules.js');
+const { ALL_CARDS, cardsByName } = require('../api/cards-data.js');
+
+// Actions per game before it's called unfinished (counted as a draw)
+const MAX_ACTIONS_PER_GAME = 2000;
+
+// Play one AI-vs-AI game under `rules` (ServerGame options). Player 1 (index 0) always goes first.
+function simulateGame(decks, difficulty, seed, rules = {}) {
+    const rng = new SeededRandom(seed);
+    const game = new ServerGame(`balance-${seed}`, rng.nextInt(2147483647), rules);
+    game.silent = true;
+    game.initPlayerDeck(0, decks[0]);
+    game.initPlayerDeck(1, decks[1]);
+
+    const ais = [new ServerAI(difficulty, rng.nextInt(2147483647)), new ServerAI(difficulty, rng.nextInt(2147483647))];
+    ais.forEach((ai, playerIndex) => game.applyAction(playerIndex, ai.chooseAction(game, playerIndex)));
+    for (let actions = 0; actions < MAX_ACTIONS_PER_GAME && !game.gameOver; actions++) {
+        const playerIndex = game.currentTurn;
+        if (!game.applyAction(playerIndex, ais[playerIndex].chooseAction(game, playerIndex))) {
+            game.applyAction(playerIndex, { action: 'endTurn' });
+        }
+    }
+
+    return game;
+}
+
+// Per-card tallies for one game: which cards each side played and the damage each dealt
+function tallyGame(game) {
+    const played = [new Map(), new Map()]; // name -> times played
+    const damage = [new Map(), new Map()]; // name -> damage dealt
+
+    game.events.forEach(event => {
+        const source = event.source;
+        if (!source || source.kind !== 'card' || !cardsByName[source.name]) {
+            return;
+        }
+        const side = source.playerIndex;
+        if (event.type === EVENT_TYPES.CARD_PLAYED) {
+            played[side].set(source.name, (played[side].get(source.name) || 0) + 1);
+        } else if (event.type === EVENT_TYPES.DAMAGE) {
+            damage[side].set(source.name, (damage[side].get(source.name) || 0) + (event.amount || 0));
+        }
+    });
+
+    return { played, damage };
+}
+
+// Run `games` simulated matches and aggregate the results
+// options: { games, difficulty, seed, variant, onProgress(done, total) }
+function runBalanceSimulation(options = {}) {
+    const games = options.games || 1000;
+    const difficulty = options.difficulty || 'hard';
+    const seed = options.seed ?? SeededRandom.generateSeed();
+    const rng = new SeededRandom(seed);
+    const { variant, rules, error } = resolveRules(options.variant);
+    if (error) {
+        throw new Error(error);
+    }
+
+    const cards = new Map();
+    const cardStats = name => {
+        if (!cards.has(name)) {
+            cards.set(name, { name, decks: 0, deckWins: 0, gamesPlayed: 0, winsWhenPlayed: 0, timesPlayed: 0, damage: 0 });
+        }
+        return cards.get(name);
+    };
+
+    const summary = { games, difficulty, seed, variant, finished: 0, unfinished: 0, firstPlayerWins: 0, secondPlayerWins: 0, totalTurns: 0 };
+
+    for (let i = 0; i < games; i++) {
+        // Expert decks draw on every rarity
+        const decks = [
+            ServerAI.buildDeck('expert', rng.nextInt(2147483647), rules.deckSize),
+            ServerAI.buildDeck('expert', rng.nextInt(2147483647), rules.deckSize)
+        ];
+        const game = simulateGame(decks, difficulty, rng.nextInt(2147483647), rules);
+        const winner = game.gameOver ? game.winner : null;
+
+        if (game.gameOver) {
+            summary.finished++;
+        } else {
+            summary.unfinished++;
+        }
+        if (winner === 0) summary.firstPlayerWins++;
+        if (winner === 1) summary.secondPlayerWins++;
+        summary.totalTurns += game.totalTurns;
+
+        const { played, damage } = tallyGame(game);
+        decks.forEach((deck, side) => {
+            const won = winner === side;
+            new Set(deck.map(card => card.name)).forEach(name => {
+                const stats = cardStats(name);
+                stats.decks++;
+                stats.deckWins += won ? 1 : 0;
+            });
+            played[side].forEach((count, name) => {
+                const stats = cardStats(name);
+                stats.gamesPlayed++;
+                stats.winsWhenPlayed += won ? 1 : 0;
+                stats.timesPlayed += count;
+            });
+            damage[side].forEach((amount, name) => {
+                cardStats(name).damage += amount;
+            });
+        });
+
+        if (options.onProgress) {
+            options.onProgress(i + 1, games);
+        }
+    }
+
+    const rate = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null;
+    const decided = summary.firstPlayerWins + summary.secondPlayerWins;
+
+    // Cards the engine can't fully run never make it into AI decks
+    const notSimulated = ALL_CARDS
+        .filter(card => !card.fullArt && getAbilityDefinition(card.ability || '').unsupported.length > 0)
+        .map(card => card.name);
+
+    return {
+        summary: {
+            games: summary.games,
+            difficulty: summary.difficulty,
+            seed: summary.seed,
+            variant: summary.variant,
+            finished: summary.finished,
+            unfinished: summary.unfinished,
+            averageTurns: rate(summary.totalTurns, summary.games),
+            firstPlayerWinRate: rate(summary.firstPlayerWins, decided),
+            secondPlayerWinRate: rate(summary.secondPlayerWins, decided)
+        },
+        cards: [...cards.values()]
+            .map(stats => {
+                const template = cardsByName[stats.name];
+                return {
+                    name: stats.name,
+                    cost: template.cost,
+                    rarity: template.rarity,
+                    color: template.color || 'colorless',
+                    decks: stats.decks,
+                    deckWinRate: rate(stats.deckWins, stats.decks),
+                    gamesPlayed: stats.gamesPlayed,
+                    winRateWhenPlayed: rate(stats.winsWhenPlayed, stats.gamesPlayed),
+                    timesPlayed: stats.timesPlayed,
+                    averageDamage: rate(stats.damage, stats.timesPlayed)
+                };
+            })
+            .sort((a, b) => (b.winRateWhenPlayed ?? -1) - (a.winRateWhenPlayed ?? -1) || b.gamesPlayed - a.gamesPlayed),
+        notSimulated
+    };
+}
+
+const CSV_COLUMNS = ['name', 'cost', 'rarity', 'color', 'decks', 'deckWinRate', 'gamesPlayed', 'winRateWhenPlayed', 'timesPlayed', 'averageDamage'];
+
+// Per-card rows as CSV (the summary goes in leading # comment lines)
+function toCsv(report) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = Object.entries(report.summary).map(([key, value]) => `# ${key}: ${value}`);
+    lines.push(CSV_COLUMNS.join(','));
+    report.cards.forEach(card => lines.push(CSV_COLUMNS.map(column => escape(card[column])).join(',')));
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    runBalanceSimulation,
+    simulateGame,
+    toCsv
+};
+
+if (require.main === module) {
+    const fs = require('fs');
+    const arg = (name, fallback) => {
+        const index = process.argv.indexOf(`--${name}`);
+        return index > -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+    };
+
+    const format = arg('format', 'json') === 'csv' ? 'csv' : 'json';
+    const out = arg('out', `balance-report.${format}`);
+    const difficulty = arg('difficulty', 'hard');
+    if (!ServerAI.DIFFICULTIES.includes(difficulty)) {
+        console.error(`❌ --difficulty must be one of: ${ServerAI.DIFFICULTIES.join(', ')}`);
+        process.exit(1);
+    }
+    const variant = arg('variant', 'standard');
+    if (!VARIANTS[variant]) {
+        console.error(`❌ --variant must be one of: ${Object.keys(VARIANTS).join(', ')}`);
+        process.exit(1);
+    }
+    const options = {
+        games: parseInt(arg('games', '1000')) || 1000,
+        difficulty,
+        variant,
+        seed: arg('seed') !== undefined ? parseInt(arg('seed')) : undefined
+    };
+
+    // Card debug logging would drown the progress output
+    const log = console.log;
+    console.log = () => {};
+    const startedAt = Date.now();
+    const report = runBalanceSimulation({
+        ...options,
+        onProgress: (done, total) => {
+            if (done % 100 === 0 || done === total) {
+                log(`⚔️  ${done}/${total} games (${Math.round((Date.now() - startedAt) / 1000)}s)`);
+            }
+        }
+    });
+    console.log = log;
+
+    fs.writeFileSync(out, format === 'csv' ? toCsv(report) : JSON.stringify(report, null, 2) + '\n');
+    console.log(`\n📊 ${report.summary.games} games, ${report.cards.length} cards seen, first player win rate ${report.summary.firstPlayerWinRate}`);
+    console.log(`💾 Report written to ${out}`);
+}
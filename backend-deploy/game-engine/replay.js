@@ -0,0 +1,60 @@
+// Replay re-simulation - rebuilds a ServerGame from its recorded seed, starting
+// decks and action log (see ServerGame.getReplay)
+const ServerGame = require('./ServerGame.js');
+
+// Rules older replay versions were recorded under: version 1 predates the mulligan
+// phase and the compensation card, versions 1-2 predate fatigue and card burning
+const LEGACY_OPTIONS = {
+    1: { mulligan: false, compensationCard: null, fatigue: false, burnOverdraw: false },
+    2: { fatigue: false, burnOverdraw: false }
+};
+
+// Re-run a replay, stopping after the last action of `uptoTurn` (all actions if omitted)
+// Returns { game, applied, desync } - desync is true if a recorded action was rejected
+function simulateReplay(replay, uptoTurn = Infinity) {
+    const options = { ...replay.options, ...LEGACY_OPTIONS[replay.version] };
+    const game = new ServerGame(replay.roomId, replay.seed, options);
+    let applied = 0;
+    let desync = false;
+
+    for (const entry of replay.actions) {
+        if (entry.turn > uptoTurn) {
+            break;
+        }
+
+        let ok;
+        if (entry.action === 'initDeck') {
+            ok = game.initialDecks[entry.playerIndex] === null;
+            game.initPlayerDeck(entry.playerIndex, replay.decks[entry.playerIndex]);
+        } else if (entry.action === 'forfeit') {
+            ok = game.forfeit(entry.playerIndex, entry.reason);
+        } else {
+            ok = game.applyAction(entry.playerIndex, entry);
+        }
+
+        if (!ok) {
+            console.log(`⚠️ Replay desync at action ${applied} (${entry.action}, turn ${entry.turn})`);
+            desync = true;
+            break;
+        }
+        applied++;
+    }
+
+    return { game, applied, desync };
+}
+
+// Number of turns covered by a replay
+function getReplayTurnCount(replay) {
+    return replay.actions.reduce((max, entry) => Math.max(max, entry.turn), 0);
+}
+
+// Actions recorded during a single turn
+function getTurnActions(replay, turn) {
+    return replay.actions.filter(entry => entry.turn === turn && entry.action !== 'initDeck' && entry.action !== 'mulligan');
+}
+
+module.exports = {
+    simulateReplay,
+    getReplayTurnCount,
+    getTurnActions
+};
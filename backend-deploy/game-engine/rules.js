@@ -0,0 +1,106 @@
+// Game rule variants - named rule sets for casual matches, plus checking of
+// custom rules sent by clients. Rules are ServerGame options (see DEFAULT_OPTIONS).
+const ServerGame = require('./ServerGame.js');
+
+// Overrides on top of the standard rules. Ranked is always 'standard'.
+const VARIANTS = {
+    'standard': {
+        name: 'Standard',
+        rules: {}
+    },
+    'big-mana': {
+        name: 'Big Mana',
+        rules: { startingHealth: 40, startingMana: 4, maxMana: 12 }
+    },
+    'quick-duel': {
+        name: 'Quick Duel',
+        rules: { startingHealth: 20, startingMana: 2, openingHand: 4, deckSize: 20, turnTimerMs: 45 * 1000 }
+    }
+};
+
+// Rules a client may set, with the allowed range for each (whole numbers)
+const RULE_LIMITS = {
+    startingHealth: { min: 1, max: 100 },
+    startingMana: { min: 0, max: 20 },
+    manaPerTurn: { min: 0, max: 5 },
+    maxMana: { min: 1, max: 20 },
+    openingHand: { min: 0, max: 10 },
+    deckSize: { min: 10, max: 60 },
+    handLimit: { min: 1, max: 20 },
+    turnTimerMs: { min: 15 * 1000, max: 5 * 60 * 1000 }
+};
+
+// Why a set of custom rule overrides can't be used, or null if they're fine
+function getRulesError(custom) {
+    if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+        return 'Rules must be an object';
+    }
+    for (const [key, value] of Object.entries(custom)) {
+        const limits = RULE_LIMITS[key];
+        if (!limits) {
+            return `Unknown rule: ${key}`;
+        }
+        if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+            return `${key} must be a whole number from ${limits.min} to ${limits.max}`;
+        }
+    }
+
+    const rules = { ...ServerGame.DEFAULT_OPTIONS, ...custom };
+    if (rules.startingMana > rules.maxMana) {
+        return 'startingMana can\'t be more than maxMana';
+    }
+    // Player 2 starts a turn behind and gains manaPerTurn on its first turn, so it
+    // only opens on startingMana like Player 1 when that covers a turn's gain
+    if (rules.startingMana < rules.manaPerTurn) {
+        return 'startingMana can\'t be less than manaPerTurn';
+    }
+    if (rules.openingHand > rules.deckSize) {
+        return 'openingHand can\'t be more than deckSize';
+    }
+    return null;
+}
+
+// Full rule set for a variant with optional custom overrides on top.
+// Returns { variant, rules } or { error }; variant is 'custom' once anything is overridden.
+function resolveRules(variant = 'standard', custom = null) {
+    variant = variant ?? 'standard';
+    if (!Object.prototype.hasOwnProperty.call(VARIANTS, variant)) {
+        return { error: `Variant must be one of: ${Object.keys(VARIANTS).join(', ')}` };
+    }
+    if (custom !== null && custom !== undefined && (typeof custom !== 'object' || Array.isArray(custom))) {
+        return { error: 'Rules must be an object' };
+    }
+    const overrides = { ...VARIANTS[variant].rules, ...custom };
+    const error = getRulesError(overrides);
+    if (error) {
+        return { error };
+    }
+    return {
+        variant: custom && Object.keys(custom).length > 0 ? 'custom' : variant,
+        rules: { ...ServerGame.DEFAULT_OPTIONS, ...overrides }
+    };
+}
+
+// Only the named variants pay rewards and count towards stats. Custom rules
+// could be tuned to farm easy wins (against the AI especially), so they're practice.
+function isRewardedVariant(variant) {
+    return Object.prototype.hasOwnProperty.call(VARIANTS, variant ?? 'standard');
+}
+
+// Variant list for clients, with every rule filled in
+function listVariants() {
+    return Object.entries(VARIANTS).map(([id, variant]) => ({
+        id,
+        name: variant.name,
+        rules: resolveRules(id).rules
+    }));
+}
+
+module.exports = {
+    VARIANTS,
+    RULE_LIMITS,
+    getRulesError,
+    resolveRules,
+    isRewardedVariant,
+    listVariants
+};
@@ -0,0 +1,513 @@
+// Game result processing - stats, difficulty level and currency rewards
+// Multiplayer results come from the server's own record of finished matches
+// (recordMatchResult), as do server-run vs-AI games. Client-reported vs-AI games
+// (recordAiGame) only go into match history.
+const database = require('./database-postgres');
+const { recordRatedResult } = require('./ratings');
+const { isRewardedVariant } = require('./game-engine/rules');
+const { get, run, all, withTransaction } = database;
+
+// How a server match ended (matches.end_reason). Client-reported vs-AI games use 'reported'.
+const END_REASONS = ['health', 'concede', 'timeout', 'disconnect', 'draw'];
+
+// Losers only get the consolation reward for games played out to the end -
+// conceding, timing out or leaving pays nothing
+const CONSOLATION_REASONS = ['health'];
+
+// Calculate difficulty level based on performance
+function calculateDifficultyLevel(totalGames, wins, winStreak, lossStreak) {
+    const overallWinRate = totalGames > 0 ? (wins / totalGames) * 100 : 0;
+    let difficultyLevel = 'beginner';
+    
+    if (totalGames <= 3) {
+        // First 3 games are always beginner
+        difficultyLevel = 'beginner';
+    } else {
+        // Games 4+ use win rate and streak system
+        if (winStreak >= 5 || overallWinRate >= 80) {
+            difficultyLevel = 'expert';
+        } else if (winStreak >= 3 || overallWinRate >= 70) {
+            difficultyLevel = 'hard';
+        } else if (overallWinRate >= 60) {
+            difficultyLevel = 'normal';
+        } else if (overallWinRate >= 40) {
+            difficultyLevel = 'easy';
+        } else {
+            difficultyLevel = 'beginner';
+        }
+        
+        // Safety net: If losing too much, force easier difficulty
+        if (lossStreak >= 4) {
+            difficultyLevel = 'beginner';
+        } else if (lossStreak >= 2 && difficultyLevel !== 'beginner') {
+            const levels = ['beginner', 'easy', 'normal', 'hard', 'expert'];
+            const currentIndex = levels.indexOf(difficultyLevel);
+            if (currentIndex > 0) {
+                difficultyLevel = levels[currentIndex - 1];
+            }
+        }
+    }
+
+    return difficultyLevel;
+}
+
+// Convert a game_stats row to the frontend format
+function formatGameStats(stats) {
+    return {
+        totalGames: stats.total_games,
+        wins: stats.wins,
+        losses: stats.losses,
+        draws: stats.draws || 0,
+        winStreak: stats.win_streak,
+        lossStreak: stats.loss_streak,
+        bestWinStreak: stats.best_win_streak,
+        worstLossStreak: stats.worst_loss_streak,
+        totalDamageDealt: stats.total_damage_dealt,
+        totalDamageTaken: stats.total_damage_taken,
+        totalCardsPlayed: stats.total_cards_played,
+        totalManaSpent: stats.total_mana_spent,
+        averageGameLength: stats.average_game_length,
+        quickestWin: stats.quickest_win,
+        longestGame: stats.longest_game,
+        difficultyLevel: stats.difficulty_level,
+        botGames: stats.bot_games || 0,
+        botWins: stats.bot_wins || 0,
+        botLosses: stats.bot_losses || 0,
+        botDraws: stats.bot_draws || 0
+    };
+}
+
+// A player's game_stats row, created on first use
+// db: query helpers to use (a transaction's, see withTransaction), the pool by default
+async function getOrCreateStats(userId, db = database) {
+    let stats = await db.get(
+        'SELECT * FROM game_stats WHERE user_id = ?',
+        [userId]
+    );
+
+    if (!stats) {
+        // Initialize stats if not exists
+        await db.run(
+            'INSERT INTO game_stats (user_id) VALUES (?)',
+            [userId]
+        );
+        stats = await db.get(
+            'SELECT * FROM game_stats WHERE user_id = ?',
+            [userId]
+        );
+    }
+
+    return stats;
+}
+
+// Update a player's stats for one finished game and pay their rewards
+// gameData: { damageDealt, damageTaken, cardsPlayed, manaSpent }
+// endReason: one of END_REASONS ('draw' counts as neither a win nor a loss)
+async function applyGameResult(userId, won, gameData, endReason = 'health', db = database) {
+    const stats = await getOrCreateStats(userId, db);
+    const lost = !won && endReason !== 'draw';
+
+    // Update game stats
+    const totalGames = (stats.total_games || 0) + 1;
+    const wins = won ? (stats.wins || 0) + 1 : (stats.wins || 0);
+    const losses = lost ? (stats.losses || 0) + 1 : (stats.losses || 0);
+    const winStreak = won ? (stats.win_streak || 0) + 1 : 0;
+    const lossStreak = lost ? (stats.loss_streak || 0) + 1 : 0;
+    const bestWinStreak = Math.max(winStreak, stats.best_win_streak || 0);
+    const worstLossStreak = Math.max(lossStreak, stats.worst_loss_streak || 0);
+    const difficultyLevel = calculateDifficultyLevel(totalGames, wins, winStreak, lossStreak);
+
+    const overallWinRate = (wins / totalGames) * 100;
+    console.log(`[DIFFICULTY] User ${userId}: ${difficultyLevel} (${totalGames} games, ${overallWinRate.toFixed(1)}% win rate, ${winStreak}W/${lossStreak}L streak)`);
+
+    await db.run(`
+        UPDATE game_stats SET
+            total_games = ?,
+            wins = ?,
+            losses = ?,
+            draws = draws + ?,
+            win_streak = ?,
+            loss_streak = ?,
+            best_win_streak = ?,
+            worst_loss_streak = ?,
+            difficulty_level = ?,
+            total_damage_dealt = total_damage_dealt + ?,
+            total_damage_taken = total_damage_taken + ?,
+            total_cards_played = total_cards_played + ?,
+            total_mana_spent = total_mana_spent + ?
+        WHERE user_id = ?
+    `, [
+        totalGames, wins, losses, endReason === 'draw' ? 1 : 0, winStreak, lossStreak,
+        bestWinStreak, worstLossStreak, difficultyLevel,
+        gameData?.damageDealt || 0,
+        gameData?.damageTaken || 0,
+        gameData?.cardsPlayed || 0,
+        gameData?.manaSpent || 0,
+        userId
+    ]);
+
+    const rewards = await payGameRewards(userId, won, winStreak, endReason, db);
+    return { won, draw: endReason === 'draw', ...rewards, winStreak };
+}
+
+// Bot backfill games only count towards the bot_* stats bucket: they leave the
+// main record, streaks and difficulty level alone and earn no streak bonus
+async function applyBotBackfillResult(userId, won, endReason, db = database) {
+    const stats = await getOrCreateStats(userId, db);
+    const draw = endReason === 'draw';
+
+    await db.run(`
+        UPDATE game_stats SET
+            bot_games = bot_games + 1,
+            bot_wins = bot_wins + ?,
+            bot_losses = bot_losses + ?,
+            bot_draws = bot_draws + ?
+        WHERE user_id = ?
+    `, [won ? 1 : 0, !won && !draw ? 1 : 0, draw ? 1 : 0, userId]);
+
+    const rewards = await payGameRewards(userId, won, 0, endReason, db);
+    return { won, draw, ...rewards, winStreak: stats.win_streak || 0 };
+}
+
+// Custom-rules games (see isRewardedVariant) are recorded in match history only:
+// no stats, streaks, difficulty level or rewards
+async function applyPracticeResult(userId, won, endReason, db = database) {
+    const stats = await getOrCreateStats(userId, db);
+    return { won, draw: endReason === 'draw', goldReward: 0, gemsReward: 0, winStreak: stats.win_streak || 0 };
+}
+
+// Pay the gold/gems for one finished game and log the transactions
+async function payGameRewards(userId, won, winStreak, endReason, db = database) {
+    let goldReward = 0;
+    let gemsReward = 0;
+    let reason = 'game_participation';
+
+    if (won) {
+        goldReward = 50 + Math.floor(Math.random() * 30); // 50-80 gold
+        
+        // Bonus rewards for streaks
+        if (winStreak >= 3) {
+            goldReward += 25;
+        }
+        if (winStreak >= 5) {
+            gemsReward = 1;
+        }
+        reason = 'game_victory';
+    } else if (endReason === 'draw') {
+        goldReward = 25;
+        reason = 'game_draw';
+    } else if (CONSOLATION_REASONS.includes(endReason)) {
+        // Loss consolation reward
+        goldReward = 10;
+    }
+
+    if (goldReward === 0) {
+        return { goldReward, gemsReward };
+    }
+
+    // Give rewards
+    await db.run(
+        'UPDATE player_data SET gold = gold + ?, gems = gems + ? WHERE user_id = ?',
+        [goldReward, gemsReward, userId]
+    );
+
+    // Log transaction
+    await db.run(
+        'INSERT INTO transactions (user_id, type, amount, currency, reason) VALUES (?, ?, ?, ?, ?)',
+        [userId, 'earn', goldReward, 'gold', reason]
+    );
+
+    if (gemsReward > 0) {
+        await db.run(
+            'INSERT INTO transactions (user_id, type, amount, currency, reason) VALUES (?, ?, ?, ?, ?)',
+            [userId, 'earn', gemsReward, 'gems', 'win_streak_bonus']
+        );
+    }
+
+    return { goldReward, gemsReward };
+}
+
+// Recompute the aggregate game length stats (in turns) from match history
+async function refreshGameLengthStats(userId, db = database) {
+    const lengths = await db.get(`
+        SELECT
+            ROUND(AVG(m.turn_count)) AS average_game_length,
+            MIN(CASE WHEN mp.won THEN m.turn_count END) AS quickest_win,
+            MAX(m.turn_count) AS longest_game
+        FROM match_participants mp
+        JOIN matches m ON m.id = mp.match_id
+        WHERE mp.user_id = ? AND m.turn_count IS NOT NULL AND m.mode NOT IN ('bot-backfill', 'ai')
+          AND COALESCE(m.variant, 'standard') = 'standard'
+    `, [userId]);
+
+    if (!lengths || lengths.average_game_length === null) {
+        return;
+    }
+
+    await db.run(`
+        UPDATE game_stats SET
+            average_game_length = ?,
+            quickest_win = ?,
+            longest_game = ?
+        WHERE user_id = ?
+    `, [
+        Number(lengths.average_game_length),
+        lengths.quickest_win ?? 999,
+        lengths.longest_game,
+        userId
+    ]);
+}
+
+// Difficulty level the server AI should play a user at
+async function getDifficultyLevel(userId) {
+    const stats = await get(
+        'SELECT difficulty_level FROM game_stats WHERE user_id = ?',
+        [userId]
+    );
+    return stats?.difficulty_level || 'beginner';
+}
+
+// Record a server-run match and settle it exactly once; both sides are paid
+// according to how it ended (see END_REASONS and payGameRewards)
+// match: { matchId, mode, variant, seed, startedAt, winnerIndex, turnCount, endReason, rated,
+//          players: [{ userId, stats, deck }, { userId, stats, deck }] }
+// Server AI seats have a null userId and get no stats, rewards or participant row;
+// mode 'bot-backfill' results go to the separate bot stats bucket and custom-rules
+// games (variant 'custom') pay nothing and leave stats alone. rated matches
+// also update both players' Elo ratings (see ratings.js).
+// The claim, payouts, stats and ratings are written in one transaction, so a failure
+// partway leaves the match unpaid rather than marked paid without a payout.
+// Returns { rewards: { [userId]: { won, goldReward, gemsReward, winStreak } },
+//           ratingChanges: { [userId]: { before, after, change } } | null },
+// or null if already settled
+async function recordMatchResult(match) {
+    const { matchId, mode, variant, seed, startedAt, winnerIndex, turnCount, endReason, rated, players } = match;
+    const winnerId = winnerIndex === null ? null : players[winnerIndex].userId;
+    const durationSeconds = Math.round((Date.now() - startedAt) / 1000);
+    const rewarded = isRewardedVariant(variant);
+
+    await run(`
+        INSERT INTO matches (id, mode, variant, seed, player1_id, player2_id, winner_id, winner_index, turn_count, duration_seconds, end_reason, started_at, ended_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT (id) DO NOTHING
+    `, [matchId, mode, variant || 'standard', seed, players[0].userId, players[1].userId, winnerId, winnerIndex, turnCount, durationSeconds, endReason, new Date(startedAt)]);
+
+    const settlement = await withTransaction(async tx => {
+        // Claim the match for settlement - only one caller can flip rewards_paid
+        const claim = await tx.run(
+            'UPDATE matches SET rewards_paid = true WHERE id = ? AND rewards_paid = false',
+            [matchId]
+        );
+        if (claim.changes !== 1) {
+            return null;
+        }
+
+        const rewards = {};
+        for (let index = 0; index < players.length; index++) {
+            const { userId, stats, deck } = players[index];
+            if (userId === null) {
+                continue;
+            }
+            const won = winnerIndex === index;
+            let result;
+            if (!rewarded) {
+                result = await applyPracticeResult(userId, won, endReason, tx);
+            } else if (mode === 'bot-backfill') {
+                result = await applyBotBackfillResult(userId, won, endReason, tx);
+            } else {
+                result = await applyGameResult(userId, won, stats, endReason, tx);
+            }
+
+            await tx.run(`
+                INSERT INTO match_participants
+                    (match_id, user_id, player_index, won, deck, damage_dealt, damage_taken, cards_played, mana_spent, gold_reward, gems_reward)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                matchId, userId, index, won, JSON.stringify(deck || []),
+                stats.damageDealt, stats.damageTaken, stats.cardsPlayed, stats.manaSpent,
+                result.goldReward, result.gemsReward
+            ]);
+            await refreshGameLengthStats(userId, tx);
+
+            rewards[userId] = result;
+        }
+
+        const ratingChanges = rated
+            ? await recordRatedResult(matchId, players[0].userId, players[1].userId, winnerId, tx)
+            : null;
+
+        return { rewards, ratingChanges };
+    });
+
+    if (!settlement) {
+        console.log(`⚠️ Match ${matchId} already settled, skipping rewards`);
+        return null;
+    }
+    console.log(`💰 Match ${matchId} settled (${mode})`);
+
+    return settlement;
+}
+
+// Record a client-reported vs-AI game in match history
+// These rows are mode 'ai' and never verified by the server, so they pay nothing
+// and stay out of game_stats (including the game length stats)
+async function recordAiGame(userId, won, gameData) {
+    const matchId = `ai-${userId}-${Date.now().toString(36)}`;
+    const turnCount = Number.isInteger(gameData?.turns) ? gameData.turns : null;
+    const durationSeconds = Number.isInteger(gameData?.durationSeconds) ? gameData.durationSeconds : null;
+
+    await run(`
+        INSERT INTO matches (id, mode, player1_id, winner_id, winner_index, turn_count, duration_seconds, end_reason, rewards_paid, started_at, ended_at)
+        VALUES (?, 'ai', ?, ?, ?, ?, ?, 'reported', true, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `, [matchId, userId, won ? userId : null, won ? 0 : 1, turnCount, durationSeconds]);
+
+    await run(`
+        INSERT INTO match_participants
+            (match_id, user_id, player_index, won, deck, damage_dealt, damage_taken, cards_played, mana_spent, gold_reward, gems_reward)
+        VALUES (?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        matchId, userId, won,
+        JSON.stringify(Array.isArray(gameData?.deck) ? gameData.deck.map(card => card?.name ?? card).slice(0, 60) : []),
+        gameData?.damageDealt || 0,
+        gameData?.damageTaken || 0,
+        gameData?.cardsPlayed || 0,
+        gameData?.manaSpent || 0,
+        0, 0
+    ]);
+
+    return matchId;
+}
+
+// Match modes played against an AI rather than another account
+const BOT_MODES = ['ai', 'vs-ai', 'bot-backfill'];
+
+// Paginated match history for a player, newest first
+async function getMatchHistory(userId, page, limit) {
+    const offset = (page - 1) * limit;
+
+    const totalRow = await get(
+        'SELECT COUNT(*) AS total FROM match_participants WHERE user_id = ?',
+        [userId]
+    );
+
+    const rows = await all(`
+        SELECT m.id, m.mode, m.variant, m.winner_id, m.turn_count, m.duration_seconds, m.end_reason, m.ended_at,
+               me.won, me.deck, me.damage_dealt, me.damage_taken, me.cards_played, me.mana_spent,
+               me.gold_reward, me.gems_reward,
+               opp.user_id AS opponent_id, opp.deck AS opponent_deck, u.username AS opponent_name
+        FROM match_participants me
+        JOIN matches m ON m.id = me.match_id
+        LEFT JOIN match_participants opp ON opp.match_id = me.match_id AND opp.user_id <> me.user_id
+        LEFT JOIN users u ON u.id = opp.user_id
+        WHERE me.user_id = ?
+        ORDER BY m.ended_at DESC, m.id DESC
+        LIMIT ? OFFSET ?
+    `, [userId, limit, offset]);
+
+    return {
+        total: Number(totalRow.total),
+        matches: rows.map(row => ({
+            matchId: row.id,
+            mode: row.mode,
+            variant: row.variant || 'standard',
+            verified: row.mode !== 'ai',
+            vsBot: BOT_MODES.includes(row.mode),
+            won: row.won,
+            draw: row.mode !== 'ai' && row.winner_id === null && row.end_reason === 'draw',
+            endReason: row.end_reason,
+            turnCount: row.turn_count,
+            durationSeconds: row.duration_seconds,
+            opponentName: row.opponent_name || (BOT_MODES.includes(row.mode) ? 'AI' : null),
+            deck: row.deck || [],
+            opponentDeck: row.opponent_deck || null,
+            damageDealt: row.damage_dealt,
+            damageTaken: row.damage_taken,
+            cardsPlayed: row.cards_played,
+            manaSpent: row.mana_spent,
+            goldReward: row.gold_reward,
+            gemsReward: row.gems_reward,
+            playedAt: row.ended_at
+        }))
+    };
+}
+
+// Store the replay of a recorded match (see ServerGame.getReplay)
+async function saveMatchReplay(matchId, replay) {
+    await run(`
+        INSERT INTO match_replays (match_id, version, seed, options, decks, actions)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (match_id) DO NOTHING
+    `, [matchId, replay.version, replay.seed, JSON.stringify(replay.options), JSON.stringify(replay.decks), JSON.stringify(replay.actions)]);
+}
+
+// Seat index of a match's winner, null for a draw. winner_id can't tell a draw from
+// a server AI win (AI seats have no user id), so matches store winner_index; older
+// rows fall back to end_reason and whichever seat has no account.
+function getWinnerIndex(row) {
+    if (row.winner_index !== null && row.winner_index !== undefined) {
+        return row.winner_index;
+    }
+    if (row.winner_id !== null) {
+        return row.winner_id === row.player1_id ? 0 : 1;
+    }
+    if (row.end_reason === 'draw' || row.end_reason === null) {
+        return null;
+    }
+    if (row.player1_id === null || row.player2_id === null) {
+        return row.player1_id === null ? 0 : 1;
+    }
+    return null;
+}
+
+// Load a stored replay in ServerGame.getReplay format (null if none)
+async function getMatchReplay(matchId) {
+    const row = await get(`
+        SELECT r.version, r.seed, r.options, r.decks, r.actions, m.mode, m.variant, m.winner_id, m.winner_index, m.end_reason,
+               m.player1_id, m.player2_id, u1.username AS player1_name, u2.username AS player2_name
+        FROM match_replays r
+        JOIN matches m ON m.id = r.match_id
+        LEFT JOIN users u1 ON u1.id = m.player1_id
+        LEFT JOIN users u2 ON u2.id = m.player2_id
+        WHERE r.match_id = ?
+    `, [matchId]);
+
+    if (!row) {
+        return null;
+    }
+
+    return {
+        replay: {
+            version: row.version,
+            roomId: matchId,
+            seed: Number(row.seed),
+            options: row.options,
+            decks: row.decks,
+            actions: row.actions
+        },
+        match: {
+            matchId,
+            mode: row.mode,
+            variant: row.variant || 'standard',
+            endReason: row.end_reason,
+            players: [
+                { userId: row.player1_id, username: row.player1_name },
+                { userId: row.player2_id, username: row.player2_name }
+            ],
+            winnerIndex: getWinnerIndex(row)
+        }
+    };
+}
+
+module.exports = {
+    END_REASONS,
+    calculateDifficultyLevel,
+    formatGameStats,
+    getOrCreateStats,
+    applyGameResult,
+    getDifficultyLevel,
+    recordMatchResult,
+    recordAiGame,
+    getMatchHistory,
+    saveMatchReplay,
+    getMatchReplay
+};
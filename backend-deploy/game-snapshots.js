@@ -0,0 +1,38 @@
+// Persistence for in-progress server matches
+// Each row holds the seat details (match) and the full engine state (ServerGame.toJSON)
+// and is rewritten after every action, so a restarted server can pick games back up.
+const { run, all } = require('./database-postgres');
+
+// Insert or replace a match's snapshot
+async function saveGameSnapshot(matchId, mode, match, state) {
+    await run(`
+        INSERT INTO game_snapshots (match_id, mode, match, state, updated_at)
+        VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT (match_id) DO UPDATE SET
+            match = EXCLUDED.match,
+            state = EXCLUDED.state,
+            updated_at = CURRENT_TIMESTAMP
+    `, [matchId, mode, JSON.stringify(match), JSON.stringify(state)]);
+}
+
+// Drop a finished (or abandoned) match's snapshot
+async function deleteGameSnapshot(matchId) {
+    await run('DELETE FROM game_snapshots WHERE match_id = ?', [matchId]);
+}
+
+// Every stored snapshot, oldest first: [{ matchId, mode, match, state }]
+async function loadGameSnapshots() {
+    const rows = await all('SELECT match_id, mode, match, state FROM game_snapshots ORDER BY updated_at');
+    return rows.map(row => ({
+        matchId: row.match_id,
+        mode: row.mode,
+        match: row.match,
+        state: row.state
+    }));
+}
+
+module.exports = {
+    saveGameSnapshot,
+    deleteGameSnapshot,
+    loadGameSnapshots
+};
@@ -0,0 +1,21 @@
+// What happens to a match restored after a server restart (see restoreActiveGames)
+// once its reconnect window runs out. Kept apart from the server so it can be tested.
+
+// seats: the match's two seats ({ connected }); AI seats are always connected.
+// Returns { action: 'resume' } when every human is back, { action: 'forfeit', playerIndex }
+// when one seat is still missing and the other is connected, or { action: 'abandon' }
+// when nobody came back - then there is no winner, payout or rating change.
+function getRestoreOutcome(seats) {
+    const missing = [0, 1].filter(index => !seats[index].connected);
+    if (missing.length === 0) {
+        return { action: 'resume' };
+    }
+    if (missing.length === 1) {
+        return { action: 'forfeit', playerIndex: missing[0] };
+    }
+    return { action: 'abandon' };
+}
+
+module.exports = {
+    getRestoreOutcome
+};
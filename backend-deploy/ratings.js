@@ -0,0 +1,106 @@
+// Elo ratings for ranked multiplayer matches
+// Ratings live on game_stats; every change is appended to rating_history
+const { get, all, withTransaction } = require('./database-postgres');
+
+const DEFAULT_RATING = 1200;
+const PROVISIONAL_GAMES = 10;  // New accounts move faster until their rating settles
+const K_PROVISIONAL = 40;
+const K_ESTABLISHED = 24;
+const MIN_RATING = 100;
+
+// Get a player's current rating (defaults for players without a stats row yet)
+// tx: transaction helpers to read through (see withTransaction), if any
+async function getRating(userId, tx = null) {
+    const stats = await (tx ? tx.get : get)(
+        'SELECT rating, rated_games FROM game_stats WHERE user_id = ?',
+        [userId]
+    );
+
+    return {
+        rating: stats?.rating ?? DEFAULT_RATING,
+        ratedGames: stats?.rated_games ?? 0
+    };
+}
+
+// Probability that a player rated `rating` beats one rated `opponentRating`
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// Rating after a game (score: 1 win, 0.5 draw, 0 loss)
+function calculateNewRating(rating, opponentRating, score, ratedGames) {
+    const k = ratedGames < PROVISIONAL_GAMES ? K_PROVISIONAL : K_ESTABLISHED;
+    const newRating = Math.round(rating + k * (score - expectedScore(rating, opponentRating)));
+    return Math.max(MIN_RATING, newRating);
+}
+
+// Apply a server-decided result to both players and log it to rating_history.
+// Both sides are written in one transaction, so a failure never leaves one updated.
+// tx: an open transaction to join instead (see withTransaction), e.g. the match settlement's
+// Returns { [userId]: { before, after, change } }
+async function recordRatedResult(matchId, player1Id, player2Id, winnerId, tx = null) {
+    const results = tx
+        ? await applyRatedResult(tx, matchId, player1Id, player2Id, winnerId)
+        : await withTransaction(ownTx => applyRatedResult(ownTx, matchId, player1Id, player2Id, winnerId));
+
+    console.log(`📈 Ratings updated for ${matchId}: ${player1Id} ${results[player1Id].before}→${results[player1Id].after}, ${player2Id} ${results[player2Id].before}→${results[player2Id].after}`);
+
+    return results;
+}
+
+// recordRatedResult's reads and writes, inside its transaction
+async function applyRatedResult(tx, matchId, player1Id, player2Id, winnerId) {
+    const player1 = await getRating(player1Id, tx);
+    const player2 = await getRating(player2Id, tx);
+
+    const score1 = winnerId === null ? 0.5 : (winnerId === player1Id ? 1 : 0);
+    const score2 = 1 - score1;
+
+    const updates = [
+        { userId: player1Id, opponentId: player2Id, current: player1, opponent: player2, score: score1 },
+        { userId: player2Id, opponentId: player1Id, current: player2, opponent: player1, score: score2 }
+    ];
+
+    const results = {};
+    for (const update of updates) {
+        const before = update.current.rating;
+        const after = calculateNewRating(before, update.opponent.rating, update.score, update.current.ratedGames);
+        const result = update.score === 1 ? 'win' : (update.score === 0 ? 'loss' : 'draw');
+
+        await tx.run(
+            'UPDATE game_stats SET rating = ?, rated_games = rated_games + 1 WHERE user_id = ?',
+            [after, update.userId]
+        );
+
+        await tx.run(
+            'INSERT INTO rating_history (user_id, match_id, opponent_id, rating_before, rating_after, result) VALUES (?, ?, ?, ?, ?, ?)',
+            [update.userId, matchId, update.opponentId, before, after, result]
+        );
+
+        results[update.userId] = { before, after, change: after - before };
+    }
+
+    return results;
+}
+
+// Most recent rating changes for a player, newest first
+async function getRatingHistory(userId, limit = 50) {
+    return all(`
+        SELECT rh.match_id, rh.rating_before, rh.rating_after, rh.result, rh.created_at,
+               u.username AS opponent_name
+        FROM rating_history rh
+        LEFT JOIN users u ON u.id = rh.opponent_id
+        WHERE rh.user_id = ?
+        ORDER BY rh.created_at DESC, rh.id DESC
+        LIMIT ?
+    `, [userId, limit]);
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    getRating,
+    expectedScore,
+    calculateNewRating,
+    recordRatedResult,
+    getRatingHistory
+};
@@ -12,7 +12,7 @@ const { Server } = require('socket.io');
 
 // Import database and auth (PostgreSQL version)
 const { initializeDatabase } = require('./database-postgres');
-const { registerUser, loginUser, verifyToken } = require('./auth');
+const { registerUser, loginUser, verifyToken, verifySocketToken } = require('./auth');
 
 // Create Express app
 const app = express();
@@ -39,9 +39,12 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Initialize database
-initializeDatabase().then(() => {
+// Initialize database, then resume saved matches before taking connections, so
+// nobody can queue or start a new match while their old one is still being restored
+initializeDatabase().then(async () => {
     console.log('✅ Database ready');
+    await restoreActiveGames().catch(error => console.error('Error restoring games:', error));
+    startServer();
 }).catch(err => {
     console.error('❌ Database initialization failed:', err);
     process.exit(1);
@@ -145,164 +148,1090 @@ const io = new Server(server, {
     }
 });
 
-// Import existing multiplayer game state manager (if needed)
-// For now, keeping multiplayer separate from auth to avoid complexity
-// Players must be authenticated to play, but game rooms don't require JWT per message
+// Authenticate sockets with the same JWT used by the REST API
+io.use(verifySocketToken);
+
+// Server-authoritative game engine: the server runs every match and clients
+// only send intents (play card, attack, end turn) which the engine validates
+const ServerGame = require('./game-engine/ServerGame');
+const ServerAI = require('./game-engine/ServerAI');
+const { resolveRules, isRewardedVariant } = require('./game-engine/rules');
+const { cardsByName } = require('./api/cards-data');
+const { getRating } = require('./ratings');
+const { recordMatchResult, saveMatchReplay, getDifficultyLevel } = require('./game-results');
+const { saveGameSnapshot, deleteGameSnapshot, loadGameSnapshots } = require('./game-snapshots');
+const { getRestoreOutcome } = require('./match-recovery');
+const { validateDeck } = require('./deck-validation');
+
+// How long a disconnected player has to come back before forfeiting
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS) || 60 * 1000;
+
+// Rating band for matchmaking: starts narrow and widens the longer a player waits
+const MATCH_BAND_BASE = parseInt(process.env.MATCH_BAND_BASE) || 100;
+const MATCH_BAND_WIDEN_PER_10S = parseInt(process.env.MATCH_BAND_WIDEN_PER_10S) || 50;
+const MATCH_BAND_MAX = parseInt(process.env.MATCH_BAND_MAX) || 1000;
+const MATCHMAKING_SWEEP_MS = 5 * 1000;
+
+// Pause between server AI moves so clients can follow along
+const AI_ACTION_DELAY_MS = parseInt(process.env.AI_ACTION_DELAY_MS) || 800;
+
+// How long players get to choose their mulligan before keeping their hand
+const MULLIGAN_TIMEOUT_MS = parseInt(process.env.MULLIGAN_TIMEOUT_MS) || 30 * 1000;
+
+// Turn timer per game mode, unless the match rules set their own (turnTimerMs).
+// Clients get the deadline when a turn starts and a rope warning ROPE_WARNING_MS
+// before it runs out; then the server ends the turn itself.
+// TURN_TIMEOUT_FORFEIT timeouts in a row (no turn ended by the player) forfeit the game.
+const TURN_TIMER_MS = {
+    'ranked': parseInt(process.env.TURN_TIMER_RANKED_MS) || 75 * 1000,
+    'casual': parseInt(process.env.TURN_TIMER_CASUAL_MS) || 75 * 1000,
+    'vs-ai': parseInt(process.env.TURN_TIMER_VS_AI_MS) || 90 * 1000,
+    'bot-backfill': parseInt(process.env.TURN_TIMER_BOT_BACKFILL_MS) || 75 * 1000
+};
+const ROPE_WARNING_MS = parseInt(process.env.ROPE_WARNING_MS) || 20 * 1000;
+const TURN_TIMEOUT_FORFEIT = parseInt(process.env.TURN_TIMEOUT_FORFEIT) || 3;
+
+// Card the player going second gets after the mulligan: a card name from the pool,
+// 'none' for no card, or unset for the engine's Mana Coin
+const COMPENSATION_CARD = process.env.COMPENSATION_CARD;
+
+// Bot backfill: after this long in the queue a player is matched against the server AI
+// ('auto') or offered that match ('offer'). 0 turns backfill off.
+const BOT_BACKFILL_MS = process.env.BOT_BACKFILL_MS !== undefined ? parseInt(process.env.BOT_BACKFILL_MS) : 60 * 1000;
+const BOT_BACKFILL_MODE = process.env.BOT_BACKFILL_MODE === 'offer' ? 'offer' : 'auto';
 
 // Matchmaking queue and active games
-const matchmakingQueue = [];
-const activeGames = new Map(); // gameId -> {player1, player2, gameState}
+const matchmakingQueue = []; // [{socketId, userId, rating, difficulty, variant, joinedAt, botOffered}]
+const activeGames = new Map(); // gameId -> {mode, variant, rules, player1, player2, serverGame, startedAt}
+
+// Rating difference a queued player will currently accept
+function getMatchBand(entry, now = Date.now()) {
+    const waitedTenSeconds = Math.floor((now - entry.joinedAt) / 10000);
+    return Math.min(MATCH_BAND_MAX, MATCH_BAND_BASE + waitedTenSeconds * MATCH_BAND_WIDEN_PER_10S);
+}
+
+function removeFromQueue(socketId) {
+    const index = matchmakingQueue.findIndex(entry => entry.socketId === socketId);
+    if (index > -1) {
+        matchmakingQueue.splice(index, 1);
+        return true;
+    }
+    return false;
+}
+
+// Create a match room for two sockets (player1 = index 0 goes first).
+// Standard rules are ranked; the other variants are casual.
+function createMatch(socket, opponent, variant = 'standard') {
+    const gameId = socket.id + '-' + opponent.id;
+    const { rules } = resolveRules(variant);
+    console.log('✅ Match found! Creating game:', gameId, `(${variant})`);
+    
+    // Create game room
+    socket.join(gameId);
+    opponent.join(gameId);
+    
+    // The engine is created once both decks are in
+    activeGames.set(gameId, {
+        mode: variant === 'standard' ? 'ranked' : 'casual',
+        variant: variant,
+        rules: rules,
+        player1: { id: socket.id, socket: socket, userId: socket.userId, username: socket.username, connected: true, disconnectTimer: null, eventCursor: 0, ready: false, deck: null },
+        player2: { id: opponent.id, socket: opponent, userId: opponent.userId, username: opponent.username, connected: true, disconnectTimer: null, eventCursor: 0, ready: false, deck: null },
+        serverGame: null,
+        startedAt: null
+    });
+    
+    console.log('  Initialized game with both players ready: false');
+    
+    // Notify both players
+    socket.emit('matchFound', { 
+        gameId: gameId,
+        opponentId: opponent.id,
+        opponentName: opponent.username,
+        yourTurn: true,
+        variant: variant,
+        rules: rules
+    });
+    
+    opponent.emit('matchFound', { 
+        gameId: gameId,
+        opponentId: socket.id,
+        opponentName: socket.username,
+        yourTurn: false,
+        variant: variant,
+        rules: rules
+    });
+}
+
+// Stand-in socket for a seat with no live connection (server AI seats, and players
+// who haven't reconnected since a restart), so match code can treat every seat alike
+function createStandInSocket(id) {
+    return { id: id, emit() {}, join() {}, leave() {} };
+}
+
+// Create a vs-AI match: the player goes first against a server AI seat that is
+// ready immediately with its own deck. mode is 'vs-ai' when the player asked for it,
+// 'bot-backfill' when matchmaking gave up waiting for a human.
+// setup: { variant, rules } from resolveRules
+function createAiMatch(socket, difficulty, mode = 'vs-ai', setup = resolveRules()) {
+    const gameId = `${socket.id}-ai-${Date.now().toString(36)}`;
+    const botId = `ai-${gameId}`;
+    const label = difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+    console.log(`🤖 Creating ${mode} game (${difficulty}):`, gameId);
+    
+    socket.join(gameId);
+    activeGames.set(gameId, {
+        mode: mode,
+        variant: setup.variant,
+        rules: setup.rules,
+        player1: { id: socket.id, socket: socket, userId: socket.userId, username: socket.username, connected: true, disconnectTimer: null, eventCursor: 0, ready: false, deck: null },
+        player2: { id: botId, socket: createStandInSocket(botId), userId: null, username: `AI (${label})`, connected: true, disconnectTimer: null, eventCursor: 0, ready: true, deck: ServerAI.buildDeck(difficulty, undefined, setup.rules.deckSize), isBot: true, ai: new ServerAI(difficulty) },
+        serverGame: null,
+        startedAt: null,
+        botTimer: null
+    });
+    
+    socket.emit('matchFound', {
+        gameId: gameId,
+        opponentId: botId,
+        opponentName: `AI (${label})`,
+        yourTurn: true,
+        vsAi: true,
+        opponentIsBot: true,
+        backfill: mode === 'bot-backfill',
+        difficulty: difficulty,
+        variant: setup.variant,
+        rules: setup.rules,
+        rewarded: isRewardedVariant(setup.variant)
+    });
+}
+
+// Match or offer a bot to players who have waited past BOT_BACKFILL_MS
+function runBotBackfill(now) {
+    if (BOT_BACKFILL_MS <= 0) {
+        return;
+    }
+    
+    for (const entry of [...matchmakingQueue]) {
+        const waitedMs = now - entry.joinedAt;
+        if (waitedMs < BOT_BACKFILL_MS) {
+            continue;
+        }
+        const socket = io.sockets.sockets.get(entry.socketId);
+        if (!socket) {
+            // Socket went away without a disconnect event - nobody to match
+            removeFromQueue(entry.socketId);
+            continue;
+        }
+        
+        if (BOT_BACKFILL_MODE === 'offer') {
+            if (!entry.botOffered) {
+                entry.botOffered = true;
+                socket.emit('botMatchOffer', { waitedMs: waitedMs, difficulty: entry.difficulty, opponentIsBot: true });
+                console.log('🤖 Offered bot match to', entry.socketId);
+            }
+            continue;
+        }
+        
+        removeFromQueue(entry.socketId);
+        createAiMatch(socket, entry.difficulty, 'bot-backfill', resolveRules(entry.variant));
+    }
+}
+
+// If it's an AI seat's turn, play its next move after a short pause
+function scheduleBotTurn(gameId, game) {
+    const serverGame = game.serverGame;
+    if (!serverGame || serverGame.gameOver || game.botTimer) {
+        return;
+    }
+    const playerIndex = serverGame.currentTurn;
+    const bot = playerIndex === 0 ? game.player1 : game.player2;
+    if (!bot.isBot) {
+        return;
+    }
+    
+    game.botTimer = setTimeout(() => {
+        game.botTimer = null;
+        if (activeGames.get(gameId) !== game || serverGame.gameOver) {
+            return;
+        }
+        
+        const action = bot.ai.chooseAction(serverGame, playerIndex);
+        if (!serverGame.applyAction(playerIndex, action)) {
+            // Never leave the human waiting on a stuck AI
+            serverGame.applyAction(playerIndex, { action: 'endTurn' });
+        }
+        broadcastGameState(game);
+        snapshotGame(gameId, game);
+        
+        if (serverGame.gameOver) {
+            finishGame(gameId, game);
+            return;
+        }
+        syncTurnTimer(gameId, game);
+        scheduleBotTurn(gameId, game);
+    }, AI_ACTION_DELAY_MS);
+}
+
+// Pair queued players of the same variant whose ratings fall within either player's
+// current band, closest ratings first. Runs on every join and periodically as bands widen.
+function runMatchmaking() {
+    const now = Date.now();
+    
+    // Drop entries whose sockets went away without a disconnect event
+    for (let i = matchmakingQueue.length - 1; i >= 0; i--) {
+        if (!io.sockets.sockets.get(matchmakingQueue[i].socketId)) {
+            matchmakingQueue.splice(i, 1);
+        }
+    }
+    
+    const pairs = [];
+    for (let i = 0; i < matchmakingQueue.length; i++) {
+        for (let j = i + 1; j < matchmakingQueue.length; j++) {
+            const a = matchmakingQueue[i];
+            const b = matchmakingQueue[j];
+            const diff = Math.abs(a.rating - b.rating);
+            if (a.variant === b.variant && diff <= Math.max(getMatchBand(a, now), getMatchBand(b, now))) {
+                pairs.push({ a, b, diff });
+            }
+        }
+    }
+    pairs.sort((x, y) => x.diff - y.diff);
+    
+    const matched = new Set();
+    for (const { a, b } of pairs) {
+        if (matched.has(a) || matched.has(b)) {
+            continue;
+        }
+        matched.add(a);
+        matched.add(b);
+        removeFromQueue(a.socketId);
+        removeFromQueue(b.socketId);
+        // Latest arrival goes first, as before
+        createMatch(io.sockets.sockets.get(b.socketId), io.sockets.sockets.get(a.socketId), a.variant);
+    }
+    
+    // Whoever is still waiting too long gets a bot instead
+    runBotBackfill(now);
+}
+
+setInterval(runMatchmaking, MATCHMAKING_SWEEP_MS);
+
+// Find the game an account is playing in (one live match per account)
+function findGameByUser(userId) {
+    for (const [gameId, game] of activeGames) {
+        if (game.player1.userId === userId) {
+            return { gameId, game, playerIndex: 0 };
+        }
+        if (game.player2.userId === userId) {
+            return { gameId, game, playerIndex: 1 };
+        }
+    }
+    return null;
+}
+
+// Find the game a socket is playing in, along with its engine player index
+function findGameBySocket(socketId) {
+    for (const [gameId, game] of activeGames) {
+        if (game.player1.id === socketId) {
+            return { gameId, game, playerIndex: 0 };
+        }
+        if (game.player2.id === socketId) {
+            return { gameId, game, playerIndex: 1 };
+        }
+    }
+    return null;
+}
+
+// Send each player their own view of the game (opponent's hand hidden)
+// along with the game events they haven't received yet
+function broadcastGameState(game) {
+    const serverGame = game.serverGame;
+    [game.player1, game.player2].forEach((player, index) => {
+        player.socket.emit('gameState', serverGame.getPlayerState(index));
+        player.socket.emit('gameEvents', {
+            events: serverGame.getEventsSince(player.eventCursor, index),
+            lastEventSeq: serverGame.eventSeq
+        });
+        player.eventCursor = serverGame.eventSeq;
+    });
+}
+
+// Engine options for a new match
+function getMatchOptions() {
+    if (COMPENSATION_CARD === undefined) {
+        return {};
+    }
+    if (COMPENSATION_CARD === 'none') {
+        return { compensationCard: null };
+    }
+    const template = cardsByName[COMPENSATION_CARD];
+    if (!template) {
+        console.log(`⚠️ Unknown COMPENSATION_CARD "${COMPENSATION_CARD}", using the default`);
+        return {};
+    }
+    return { compensationCard: { ...template } };
+}
+
+// Both decks are in: deal opening hands and open the mulligan phase.
+// AI seats decide straight away; the game starts once both players have confirmed.
+function startMulligan(gameId, game) {
+    const serverGame = new ServerGame(gameId, undefined, { ...game.rules, ...getMatchOptions() });
+    game.serverGame = serverGame;
+    game.startedAt = Date.now();
+    serverGame.initPlayerDeck(0, game.player1.deck);
+    serverGame.initPlayerDeck(1, game.player2.deck);
+    
+    [game.player1, game.player2].forEach((player, index) => {
+        player.socket.emit('gameAction', {
+            type: 'mulliganStart',
+            playerIndex: index,
+            timeoutMs: MULLIGAN_TIMEOUT_MS,
+            state: serverGame.getPlayerState(index)
+        });
+    });
+    startMulliganTimer(gameId, game);
+    snapshotGame(gameId, game);
+    
+    [game.player1, game.player2].forEach((player, index) => {
+        if (player.isBot) {
+            submitMulligan(gameId, game, index, player.ai.chooseMulligan(serverGame, index));
+        }
+    });
+}
+
+// Players who haven't decided when the timer runs out keep their opening hand
+function startMulliganTimer(gameId, game) {
+    clearTimeout(game.mulliganTimer);
+    game.mulliganTimer = setTimeout(() => {
+        if (activeGames.get(gameId) !== game || game.serverGame.phase !== 'mulligan') {
+            return;
+        }
+        console.log('⌛ Mulligan time is up:', gameId);
+        game.serverGame.mulliganDone.forEach((done, index) => {
+            if (!done) {
+                submitMulligan(gameId, game, index, []);
+            }
+        });
+    }, MULLIGAN_TIMEOUT_MS);
+}
+
+// Apply one player's mulligan choice; returns false if the engine refused it
+function submitMulligan(gameId, game, playerIndex, cardIndices) {
+    const serverGame = game.serverGame;
+    if (!serverGame.applyAction(playerIndex, { action: 'mulligan', cardIndices })) {
+        return false;
+    }
+    const self = playerIndex === 0 ? game.player1 : game.player2;
+    const opponent = playerIndex === 0 ? game.player2 : game.player1;
+    
+    self.socket.emit('gameAction', {
+        type: 'mulliganDone',
+        state: serverGame.getPlayerState(playerIndex)
+    });
+    opponent.socket.emit('opponentMulliganed', { replaced: cardIndices.length });
+    
+    if (serverGame.phase === 'playing') {
+        clearTimeout(game.mulliganTimer);
+        startPlay(gameId, game);
+    } else {
+        snapshotGame(gameId, game);
+    }
+    return true;
+}
+
+// Mulligans are done - tell both players the game is on
+function startPlay(gameId, game) {
+    console.log('✅✅✅ MULLIGANS DONE! STARTING GAME:', gameId);
+    
+    [game.player1, game.player2].forEach((player, index) => {
+        player.socket.emit('gameAction', {
+            type: 'gameStart',
+            gameStarted: true,
+            playerIndex: index,
+            firstPlayer: game.player1.id,
+            state: game.serverGame.getPlayerState(index),
+            events: game.serverGame.getEventsSince(0, index)
+        });
+        player.eventCursor = game.serverGame.eventSeq;
+    });
+    snapshotGame(gameId, game);
+    syncTurnTimer(gameId, game);
+    scheduleBotTurn(gameId, game);
+}
+
+// Send the same event to both seats
+function emitToMatch(game, event, data) {
+    [game.player1, game.player2].forEach(player => player.socket.emit(event, data));
+}
+
+// (Re)start the turn timer when a new turn has begun. Safe to call after every
+// change - a running timer for the current turn is left alone. AI turns aren't timed.
+function syncTurnTimer(gameId, game) {
+    const serverGame = game.serverGame;
+    if (!serverGame || serverGame.phase !== 'playing' || serverGame.gameOver) {
+        clearTurnTimer(game);
+        return;
+    }
+    if (game.turnTimer && game.turnTimer.turn === serverGame.totalTurns) {
+        return;
+    }
+    clearTurnTimer(game);
+    
+    const playerIndex = serverGame.currentTurn;
+    const active = playerIndex === 0 ? game.player1 : game.player2;
+    if (active.isBot) {
+        return;
+    }
+    
+    const durationMs = serverGame.options.turnTimerMs || TURN_TIMER_MS[game.mode] || TURN_TIMER_MS.ranked;
+    const ropeMs = Math.min(ROPE_WARNING_MS, durationMs);
+    const timer = {
+        turn: serverGame.totalTurns,
+        deadline: Date.now() + durationMs,
+        rope: setTimeout(() => {
+            emitToMatch(game, 'ropeWarning', { gameId: gameId, playerIndex: playerIndex, remainingMs: ropeMs });
+        }, durationMs - ropeMs),
+        expire: setTimeout(() => handleTurnTimeout(gameId, game, timer), durationMs)
+    };
+    game.turnTimer = timer;
+    
+    emitToMatch(game, 'turnTimer', {
+        gameId: gameId,
+        playerIndex: playerIndex,
+        durationMs: durationMs,
+        deadline: timer.deadline,
+        ropeWarningMs: ropeMs
+    });
+}
+
+function clearTurnTimer(game) {
+    if (game.turnTimer) {
+        clearTimeout(game.turnTimer.rope);
+        clearTimeout(game.turnTimer.expire);
+        game.turnTimer = null;
+    }
+}
+
+// Time's up: end the turn for the player, or forfeit them after repeated timeouts
+function handleTurnTimeout(gameId, game, timer) {
+    const serverGame = game.serverGame;
+    if (activeGames.get(gameId) !== game || game.turnTimer !== timer || serverGame.gameOver) {
+        return;
+    }
+    game.turnTimer = null;
+    
+    const playerIndex = serverGame.currentTurn;
+    const self = playerIndex === 0 ? game.player1 : game.player2;
+    self.turnTimeouts = (self.turnTimeouts || 0) + 1;
+    console.log(`⏰ Turn timed out: ${gameId} Player ${playerIndex + 1} (${self.turnTimeouts}/${TURN_TIMEOUT_FORFEIT})`);
+    
+    if (self.turnTimeouts >= TURN_TIMEOUT_FORFEIT) {
+        serverGame.forfeit(playerIndex, 'timeout');
+        finishGame(gameId, game);
+        return;
+    }
+    
+    serverGame.endTurn(playerIndex);
+    emitToMatch(game, 'turnTimedOut', {
+        gameId: gameId,
+        playerIndex: playerIndex,
+        timeouts: self.turnTimeouts,
+        forfeitAt: TURN_TIMEOUT_FORFEIT
+    });
+    broadcastGameState(game);
+    snapshotGame(gameId, game);
+    
+    if (serverGame.gameOver) {
+        finishGame(gameId, game);
+        return;
+    }
+    syncTurnTimer(gameId, game);
+    scheduleBotTurn(gameId, game);
+}
+
+// Persist a started match so it survives a server restart. Called after every
+// change; writes are chained per game so an older state can never land last.
+function snapshotGame(gameId, game) {
+    const match = {
+        startedAt: game.startedAt,
+        variant: game.variant,
+        players: [game.player1, game.player2].map(player => ({
+            userId: player.userId,
+            username: player.username,
+            deck: player.deck,
+            eventCursor: player.eventCursor,
+            turnTimeouts: player.turnTimeouts || 0,
+            isBot: !!player.isBot,
+            difficulty: player.isBot ? player.ai.difficulty : null
+        }))
+    };
+    const state = game.serverGame.toJSON();
+    
+    game.snapshotWrite = (game.snapshotWrite || Promise.resolve())
+        .then(() => saveGameSnapshot(gameId, game.mode, match, state))
+        .catch(error => console.error('Error saving game snapshot:', error));
+}
+
+// Rebuild a seat from its snapshot. Humans start disconnected until they come back.
+function restoreSeat(gameId, seat, index) {
+    const id = seat.isBot ? `ai-${gameId}` : `restored-${gameId}-${index}`;
+    const player = {
+        id: id,
+        socket: createStandInSocket(id),
+        userId: seat.userId,
+        username: seat.username,
+        connected: seat.isBot,
+        disconnectTimer: null,
+        eventCursor: seat.eventCursor,
+        turnTimeouts: seat.turnTimeouts || 0,
+        ready: true,
+        deck: seat.deck
+    };
+    if (seat.isBot) {
+        player.isBot = true;
+        player.ai = new ServerAI(seat.difficulty);
+    }
+    return player;
+}
+
+// Resume the matches that were in progress when the server stopped. Each match gets
+// one reconnect grace window for its players to rejoin (see handleRestoreTimeout).
+async function restoreActiveGames() {
+    const snapshots = await loadGameSnapshots();
+    let restored = 0;
+    
+    for (const { matchId, mode, match, state } of snapshots) {
+        let serverGame;
+        try {
+            serverGame = ServerGame.fromJSON(state);
+        } catch (error) {
+            console.error('Error restoring game', matchId, error);
+            await deleteGameSnapshot(matchId);
+            continue;
+        }
+        if (serverGame.gameOver || activeGames.has(matchId)) {
+            await deleteGameSnapshot(matchId);
+            continue;
+        }
+        
+        const [player1, player2] = match.players.map((seat, index) => restoreSeat(matchId, seat, index));
+        const game = {
+            mode, player1, player2, serverGame,
+            variant: match.variant || 'standard',
+            rules: serverGame.options,
+            startedAt: match.startedAt,
+            botTimer: null
+        };
+        activeGames.set(matchId, game);
+        
+        game.restoreTimer = setTimeout(() => handleRestoreTimeout(matchId, game), RECONNECT_GRACE_MS);
+        if (serverGame.phase === 'mulligan') {
+            startMulliganTimer(matchId, game);
+        }
+        syncTurnTimer(matchId, game);
+        scheduleBotTurn(matchId, game);
+        restored++;
+    }
+    
+    if (restored > 0) {
+        console.log(`♻️ Restored ${restored} in-progress game(s), waiting ${RECONNECT_GRACE_MS / 1000}s for players`);
+    }
+}
+
+// Called when a restored match's reconnect window runs out. A seat still missing
+// forfeits if the other is back; if nobody came back the match is abandoned.
+function handleRestoreTimeout(gameId, game) {
+    game.restoreTimer = null;
+    if (activeGames.get(gameId) !== game || game.serverGame.gameOver) {
+        return;
+    }
+    
+    const outcome = getRestoreOutcome([game.player1, game.player2]);
+    if (outcome.action === 'forfeit') {
+        const missing = outcome.playerIndex === 0 ? game.player1 : game.player2;
+        if (missing.disconnectTimer) {
+            // Rejoined and dropped again - their own reconnect window decides
+            return;
+        }
+        console.log('⌛ Restored game not rejoined, forfeiting:', gameId, 'Player', outcome.playerIndex + 1);
+        game.serverGame.forfeit(outcome.playerIndex, 'disconnect');
+        finishGame(gameId, game);
+    } else if (outcome.action === 'abandon') {
+        abandonGame(gameId, game);
+    }
+}
+
+// Tear down a restored match nobody came back to: no result, rewards or rating change
+function abandonGame(gameId, game) {
+    console.log('🗑️ Restored game abandoned, no players returned:', gameId);
+    clearTimeout(game.botTimer);
+    clearTimeout(game.mulliganTimer);
+    clearTurnTimer(game);
+    
+    [game.player1, game.player2].forEach(player => {
+        clearTimeout(player.disconnectTimer);
+        player.socket.leave(gameId);
+    });
+    activeGames.delete(gameId);
+    
+    (game.snapshotWrite || Promise.resolve())
+        .then(() => deleteGameSnapshot(gameId))
+        .catch(error => console.error('Error deleting game snapshot:', error));
+}
+
+// Notify both players of the result and tear the match down
+// The reason comes from the engine: health, draw, concede, timeout or disconnect
+function finishGame(gameId, game) {
+    const winner = game.serverGame.winner;
+    const reason = game.serverGame.endReason;
+    console.log('🏁 Game over:', gameId, '-', winner === null ? 'draw' : `winner: Player ${winner + 1}`, `(${reason})`);
+    clearTimeout(game.botTimer);
+    clearTimeout(game.mulliganTimer);
+    clearTimeout(game.restoreTimer);
+    clearTurnTimer(game);
+    
+    [game.player1, game.player2].forEach((player, index) => {
+        clearTimeout(player.disconnectTimer);
+        player.socket.emit('gameOver', {
+            gameId: gameId,
+            won: winner === index,
+            draw: winner === null,
+            winner: winner,
+            reason: reason
+        });
+        player.socket.leave(gameId);
+    });
+    activeGames.delete(gameId);
+    
+    settleMatch(gameId, game, reason).catch(error => console.error('Error settling match:', error));
+    (game.snapshotWrite || Promise.resolve())
+        .then(() => deleteGameSnapshot(gameId))
+        .catch(error => console.error('Error deleting game snapshot:', error));
+}
+
+// Record the server-decided result and replay, pay rewards once and update ratings
+async function settleMatch(gameId, game, reason) {
+    const players = [game.player1, game.player2];
+    const serverGame = game.serverGame;
+    
+    // Ranked results are rated in the same transaction as the payout
+    const settlement = await recordMatchResult({
+        matchId: gameId,
+        mode: game.mode,
+        variant: game.variant,
+        seed: serverGame.seed,
+        startedAt: game.startedAt,
+        winnerIndex: serverGame.winner,
+        turnCount: serverGame.totalTurns,
+        endReason: reason,
+        rated: game.mode === 'ranked',
+        players: players.map((player, index) => ({
+            userId: player.userId,
+            stats: serverGame.players[index].stats,
+            deck: player.deck.map(card => card.name)
+        }))
+    });
+    await saveMatchReplay(gameId, serverGame.getReplay());
+    if (!settlement) {
+        return;
+    }
+    
+    players.forEach(player => {
+        player.socket.emit('matchRewards', { gameId: gameId, ...settlement.rewards[player.userId] });
+    });
+    
+    if (settlement.ratingChanges) {
+        players.forEach(player => {
+            player.socket.emit('ratingUpdate', { gameId: gameId, ...settlement.ratingChanges[player.userId] });
+        });
+    }
+}
+
+// Called when a disconnected player's grace window runs out
+function handleReconnectTimeout(gameId, playerIndex) {
+    const game = activeGames.get(gameId);
+    if (!game) {
+        return;
+    }
+    const self = playerIndex === 0 ? game.player1 : game.player2;
+    const opponent = playerIndex === 0 ? game.player2 : game.player1;
+    if (self.connected) {
+        return;
+    }
+    
+    if (game.serverGame) {
+        // Match in progress - counts as a forfeit
+        console.log('⌛ Reconnect window expired, forfeiting:', gameId, 'Player', playerIndex + 1);
+        game.serverGame.forfeit(playerIndex, 'disconnect');
+        finishGame(gameId, game);
+    } else {
+        // Still picking decks - just cancel the match
+        console.log('🎮 Game abandoned before start:', gameId);
+        opponent.socket.emit('opponentDisconnected', { gameId: gameId, final: true });
+        opponent.socket.leave(gameId);
+        activeGames.delete(gameId);
+    }
+}
+
+// Rebind a returning account to its in-progress match and resync its client
+function resumeGame(socket, match) {
+    const { gameId, game, playerIndex } = match;
+    const self = playerIndex === 0 ? game.player1 : game.player2;
+    const opponent = playerIndex === 0 ? game.player2 : game.player1;
+    
+    clearTimeout(self.disconnectTimer);
+    self.disconnectTimer = null;
+    if (self.connected && self.socket.id !== socket.id) {
+        // Same account opened a second connection - the newest one takes over
+        self.socket.emit('sessionReplaced', { gameId: gameId });
+        self.socket.leave(gameId);
+    }
+    self.id = socket.id;
+    self.socket = socket;
+    self.connected = true;
+    socket.join(gameId);
+    
+    console.log('🔁 Player rejoined game:', gameId, 'as Player', playerIndex + 1);
+    
+    socket.emit('gameResumed', {
+        gameId: gameId,
+        playerIndex: playerIndex,
+        opponentName: opponent.username,
+        deckSelected: self.ready,
+        opponentReady: opponent.ready,
+        variant: game.variant,
+        rules: game.rules,
+        state: game.serverGame ? game.serverGame.getPlayerState(playerIndex) : null,
+        turnDeadline: game.turnTimer ? game.turnTimer.deadline : null
+    });
+    opponent.socket.emit('opponentReconnected', { gameId: gameId });
+}
 
 io.on('connection', (socket) => {
-    console.log('🌐 Player connected:', socket.id);
-    console.log('   [VERSION: v3.2-MULTIPLAYER-FIX-2025-02-25]'); // Version marker
+    console.log('🌐 Player connected:', socket.id, socket.userId ? `(${socket.username})` : '(anonymous)');
+    console.log('   [VERSION: v3.3-SERVER-AUTHORITATIVE]'); // Version marker
     
     socket.emit('connected', { 
         playerId: socket.id,
-        message: 'Connected to Secure Mystic Duel server v3.2!' 
+        userId: socket.userId,
+        username: socket.username,
+        message: 'Connected to Secure Mystic Duel server v3.3!' 
     });
     
-    // Matchmaking
-    socket.on('findMatch', () => {
+    // Returning player? Put them back into their match
+    if (socket.userId) {
+        const match = findGameByUser(socket.userId);
+        if (match) {
+            resumeGame(socket, match);
+        }
+    }
+    
+    // Matchmaking. data.variant picks a casual rule variant (see rules.js);
+    // the default 'standard' rules are ranked
+    socket.on('findMatch', async (data) => {
         console.log('🔍 Player looking for match:', socket.id);
         
-        // Check if already in queue
-        if (matchmakingQueue.includes(socket.id)) {
-            console.log('  Already in queue');
+        // Matches belong to accounts, so anonymous sockets can't queue
+        if (!socket.userId) {
+            socket.emit('matchError', { error: 'Authentication required' });
             return;
         }
         
-        // Try to find an opponent
-        if (matchmakingQueue.length > 0) {
-            const opponentId = matchmakingQueue.shift();
-            const opponent = io.sockets.sockets.get(opponentId);
-            
-            if (opponent) {
-                // Match found!
-                const gameId = socket.id + '-' + opponentId;
-                console.log('✅ Match found! Creating game:', gameId);
-                
-                // Create game room
-                socket.join(gameId);
-                opponent.join(gameId);
-                
-                // Initialize game state
-                activeGames.set(gameId, {
-                    player1: { id: socket.id, socket: socket, ready: false, deck: null },
-                    player2: { id: opponentId, socket: opponent, ready: false, deck: null },
-                    currentTurn: socket.id,
-                    gameState: {}
-                });
-                
-                console.log('  Initialized game with both players ready: false');
-                
-                // Notify both players
-                socket.emit('matchFound', { 
-                    gameId: gameId,
-                    opponentId: opponentId,
-                    yourTurn: true
-                });
-                
-                opponent.emit('matchFound', { 
-                    gameId: gameId,
-                    opponentId: socket.id,
-                    yourTurn: false
-                });
-            } else {
-                // Opponent disconnected, add to queue
-                matchmakingQueue.push(socket.id);
-                socket.emit('searching');
+        const { variant, error } = resolveRules(data?.variant);
+        if (error) {
+            socket.emit('matchError', { error: error });
+            return;
+        }
+        
+        // Check if this account is already in queue or in a game
+        const alreadyQueued = matchmakingQueue.some(entry => entry.userId === socket.userId);
+        if (alreadyQueued || findGameByUser(socket.userId)) {
+            console.log('  Already in queue or in a game');
+            return;
+        }
+        
+        let rating, difficulty;
+        try {
+            [{ rating }, difficulty] = await Promise.all([
+                getRating(socket.userId),
+                getDifficultyLevel(socket.userId)
+            ]);
+        } catch (error) {
+            console.error('Error loading rating:', error);
+            socket.emit('matchError', { error: 'Failed to join matchmaking' });
+            return;
+        }
+        
+        // Re-check after the lookup: the socket may have left or queued twice meanwhile
+        if (!socket.connected || matchmakingQueue.some(entry => entry.userId === socket.userId)) {
+            return;
+        }
+        
+        matchmakingQueue.push({
+            socketId: socket.id,
+            userId: socket.userId,
+            rating: rating,
+            difficulty: difficulty,
+            variant: variant,
+            joinedAt: Date.now(),
+            botOffered: false
+        });
+        socket.emit('searching', { rating: rating, variant: variant, botBackfillMs: BOT_BACKFILL_MS || null });
+        console.log(`  Added to queue (rating ${rating}, ${variant}), ${matchmakingQueue.length} waiting`);
+        
+        runMatchmaking();
+    });
+    
+    // Play against the server AI - results are decided and rewarded by the server.
+    // Difficulty defaults to the level the player's record earns (game_stats.difficulty_level).
+    // data.variant and data.rules (custom overrides, see RULE_LIMITS) set the game rules;
+    // custom rules make it a practice game with no rewards or stats (isRewardedVariant).
+    socket.on('startAiMatch', async (data) => {
+        if (!socket.userId) {
+            socket.emit('matchError', { error: 'Authentication required' });
+            return;
+        }
+        if (matchmakingQueue.some(entry => entry.userId === socket.userId) || findGameByUser(socket.userId)) {
+            console.log('  Already in queue or in a game');
+            return;
+        }
+        
+        let difficulty = data?.difficulty;
+        if (difficulty !== undefined && !ServerAI.DIFFICULTIES.includes(difficulty)) {
+            socket.emit('matchError', { error: `Difficulty must be one of: ${ServerAI.DIFFICULTIES.join(', ')}` });
+            return;
+        }
+        const setup = resolveRules(data?.variant, data?.rules);
+        if (setup.error) {
+            socket.emit('matchError', { error: setup.error });
+            return;
+        }
+        if (difficulty === undefined) {
+            try {
+                difficulty = await getDifficultyLevel(socket.userId);
+            } catch (error) {
+                console.error('Error loading difficulty level:', error);
+                difficulty = 'beginner';
             }
-        } else {
-            // First in queue
-            matchmakingQueue.push(socket.id);
-            socket.emit('searching');
-            console.log('  Added to queue, waiting for opponent...');
         }
+        
+        // Re-check after the lookup
+        if (!socket.connected || findGameByUser(socket.userId)) {
+            return;
+        }
+        createAiMatch(socket, difficulty, 'vs-ai', setup);
+    });
+    
+    // Surrender the current match - the opponent wins and both are paid out now
+    socket.on('concede', () => {
+        const match = findGameBySocket(socket.id);
+        if (!match) {
+            return;
+        }
+        const { gameId, game, playerIndex } = match;
+        if (!game.serverGame) {
+            socket.emit('actionRejected', { action: 'concede', error: 'Game has not started' });
+            return;
+        }
+        
+        console.log('🏳️ Player conceded:', gameId, 'Player', playerIndex + 1);
+        game.serverGame.forfeit(playerIndex, 'concede');
+        broadcastGameState(game);
+        finishGame(gameId, game);
+    });
+    
+    // Accept a botMatchOffer (BOT_BACKFILL_MODE=offer) - declining just keeps searching
+    socket.on('acceptBotMatch', () => {
+        const entry = matchmakingQueue.find(queued => queued.socketId === socket.id);
+        if (!entry || !entry.botOffered) {
+            return;
+        }
+        removeFromQueue(socket.id);
+        createAiMatch(socket, entry.difficulty, 'bot-backfill', resolveRules(entry.variant));
     });
     
     // Cancel matchmaking
     socket.on('cancelMatch', () => {
-        const index = matchmakingQueue.indexOf(socket.id);
-        if (index > -1) {
-            matchmakingQueue.splice(index, 1);
+        if (removeFromQueue(socket.id)) {
             console.log('❌ Player left queue:', socket.id);
         }
     });
     
     // Game actions (deck selection, turns, etc.)
-    // Game actions (deck selection, turns, etc.)
-    socket.on('gameAction', (data) => {
+    socket.on('gameAction', async (data) => {
+        if (!data || typeof data.action !== 'string') {
+            return;
+        }
+        
+        const match = findGameBySocket(socket.id);
+        if (!match) {
+            console.log('❌ Game action from player not in a game:', socket.id);
+            return;
+        }
+        const { gameId, game, playerIndex } = match;
+        const self = playerIndex === 0 ? game.player1 : game.player2;
+        const opponent = playerIndex === 0 ? game.player2 : game.player1;
+        
         // FIXED: Don't log data object (has 30-card array)
         if (data.action === 'deckSelected') {
             console.log('🎮 deckSelected from', socket.id);
             
-            // Find the game this player is in
-            activeGames.forEach((game, gameId) => {
-                if (game.player1.id === socket.id || game.player2.id === socket.id) {
-                    const isPlayer1 = game.player1.id === socket.id;
-                    
-                    // Store deck
-                    if (isPlayer1) {
-                        game.player1.deck = data.deck;
-                        game.player1.ready = true;
-                        console.log('  ✅ P1 ready, deck:', data.deck.length, 'cards');
-                    } else {
-                        game.player2.deck = data.deck;
-                        game.player2.ready = true;
-                        console.log('  ✅ P2 ready, deck:', data.deck.length, 'cards');
-                    }
-                    
-                    console.log('  STATUS: P1 ready:', game.player1.ready, '| P2 ready:', game.player2.ready);
-                    
-                    // Notify opponent
-                    const opponent = isPlayer1 ? game.player2 : game.player1;
-                    opponent.socket.emit('opponentReady');
-                    
-                    // Both ready?
-                    if (game.player1.ready && game.player2.ready) {
-                        console.log('✅✅✅ BOTH READY! STARTING GAME:', gameId);
-                        
-                        io.to(gameId).emit('gameAction', {
-                            type: 'gameStart',
-                            gameStarted: true,
-                            player1Deck: game.player1.deck,
-                            player2Deck: game.player2.deck,
-                            firstPlayer: game.player1.id
-                        });
-                    }
-                }
-            });
-        } else {
-            // Forward other actions
-            console.log('🎮 Forwarding action:', data.action, 'from', socket.id);
-            activeGames.forEach((game, gameId) => {
-                if (game.player1.id === socket.id || game.player2.id === socket.id) {
-                    const opponent = game.player1.id === socket.id ? game.player2 : game.player1;
-                    opponent.socket.emit('gameAction', data);
-                }
+            if (self.ready) {
+                console.log('  Deck already submitted, ignoring');
+                return;
+            }
+            
+            // Same rules as /api/game/validate-deck: size, copy limits, colors and
+            // ownership. The cards are rebuilt from the server's card database so
+            // modified clients can't inject their own stats or abilities.
+            let validation;
+            try {
+                validation = await validateDeck(self.userId, data.deck, game.rules.deckSize);
+            } catch (error) {
+                console.error('Error validating deck:', error);
+                socket.emit('actionRejected', { action: data.action, error: 'Server error during deck validation' });
+                return;
+            }
+            if (!validation.valid) {
+                console.log('  ❌ Deck rejected:', validation.error);
+                socket.emit('actionRejected', { action: data.action, error: validation.error });
+                return;
+            }
+            
+            // Re-check after the lookup: the match may be gone or the deck already in
+            if (activeGames.get(gameId) !== game || self.ready || self.socket !== socket) {
+                return;
+            }
+            
+            const deck = validation.cards;
+            self.deck = deck;
+            self.ready = true;
+            console.log(`  ✅ P${playerIndex + 1} ready, deck:`, deck.length, 'cards');
+            console.log('  STATUS: P1 ready:', game.player1.ready, '| P2 ready:', game.player2.ready);
+            
+            // Notify opponent
+            opponent.socket.emit('opponentReady');
+            
+            // Both ready? Opening hands are dealt and the mulligan begins
+            if (game.player1.ready && game.player2.ready) {
+                console.log('✅✅ BOTH READY! MULLIGAN PHASE:', gameId);
+                startMulligan(gameId, game);
+            }
+            return;
+        }
+        
+        if (!game.serverGame) {
+            socket.emit('actionRejected', { action: data.action, error: 'Game has not started' });
+            return;
+        }
+        
+        // Mulligan: { action: 'mulligan', cardIndices: [hand indices to replace] }
+        if (data.action === 'mulligan') {
+            game.serverGame.lastRejection = null;
+            if (!submitMulligan(gameId, game, playerIndex, data.cardIndices)) {
+                socket.emit('actionRejected', {
+                    action: data.action,
+                    error: game.serverGame.lastRejection || 'Illegal mulligan',
+                    state: game.serverGame.getPlayerState(playerIndex)
+                });
+            }
+            return;
+        }
+        
+        console.log('🎮 Applying action:', data.action, 'from', socket.id);
+        game.serverGame.lastRejection = null;
+        const illegal = game.serverGame.validateAction(playerIndex, data);
+        const applied = !illegal && game.serverGame.applyAction(playerIndex, data);
+        
+        if (!applied) {
+            console.log('  ❌ Rejected illegal action:', data.action);
+            socket.emit('actionRejected', {
+                action: data.action,
+                error: illegal || game.serverGame.lastRejection || 'Illegal action',
+                state: game.serverGame.getPlayerState(playerIndex)
             });
+            return;
+        }
+        
+        if (data.action === 'endTurn') {
+            self.turnTimeouts = 0;
+        }
+        broadcastGameState(game);
+        snapshotGame(gameId, game);
+        
+        if (game.serverGame.gameOver) {
+            finishGame(gameId, game);
+            return;
         }
+        syncTurnTimer(gameId, game);
+        scheduleBotTurn(gameId, game);
     });
     
+    // Event history since a sequence number (resync after reconnect, combat log, etc.)
+    socket.on('getEvents', (data) => {
+        const match = findGameBySocket(socket.id);
+        if (!match || !match.game.serverGame) {
+            return;
+        }
+        const since = Math.max(parseInt(data?.since) || 0, 0);
+        const serverGame = match.game.serverGame;
+        socket.emit('gameEvents', {
+            events: serverGame.getEventsSince(since, match.playerIndex),
+            lastEventSeq: serverGame.eventSeq
+        });
+    });
+    
+    // Every move the player can make right now (move highlighting)
+    socket.on('getLegalActions', () => {
+        const match = findGameBySocket(socket.id);
+        if (!match || !match.game.serverGame) {
+            return;
+        }
+        socket.emit('legalActions', {
+            actions: match.game.serverGame.getLegalActions(match.playerIndex)
+        });
+    });
+
+    // Which targets a card in hand can be played on (targeting UI)
+    socket.on('getValidTargets', (data) => {
+        const match = findGameBySocket(socket.id);
+        if (!match || !match.game.serverGame) {
+            return;
+        }
+        const validTargets = match.game.serverGame.getValidTargets(match.playerIndex, Number(data?.cardIndex));
+        if (!validTargets) {
+            socket.emit('actionRejected', { action: 'getValidTargets', error: 'Invalid card index' });
+            return;
+        }
+        socket.emit('validTargets', validTargets);
+    });
+
     socket.on('disconnect', () => {
         console.log('👋 Player disconnected:', socket.id);
         
         // Remove from matchmaking queue
-        const index = matchmakingQueue.indexOf(socket.id);
-        if (index > -1) {
-            matchmakingQueue.splice(index, 1);
-        }
+        removeFromQueue(socket.id);
         
-        // Handle active game disconnection
-        activeGames.forEach((game, gameId) => {
-            if (game.player1.id === socket.id || game.player2.id === socket.id) {
-                console.log('🎮 Game abandoned:', gameId);
-                const opponent = game.player1.id === socket.id ? game.player2 : game.player1;
-                opponent.socket.emit('opponentDisconnected');
-                activeGames.delete(gameId);
-            }
-        });
+        // Keep the game alive for a grace window so the player can reconnect
+        const match = findGameBySocket(socket.id);
+        if (match) {
+            const { gameId, game, playerIndex } = match;
+            const self = playerIndex === 0 ? game.player1 : game.player2;
+            const opponent = playerIndex === 0 ? game.player2 : game.player1;
+            
+            console.log('⏳ Holding game', gameId, 'for', RECONNECT_GRACE_MS / 1000, 's');
+            self.connected = false;
+            self.disconnectTimer = setTimeout(
+                () => handleReconnectTimeout(gameId, playerIndex),
+                RECONNECT_GRACE_MS
+            );
+            opponent.socket.emit('opponentDisconnected', {
+                gameId: gameId,
+                final: false,
+                gracePeriodMs: RECONNECT_GRACE_MS
+            });
+        }
     });
 });
 
@@ -310,25 +1239,27 @@ io.on('connection', (socket) => {
 const PORT = process.env.PORT || 8080;
 const HOST = process.env.HOST || '0.0.0.0'; // Bind to all interfaces for cloud hosting
 
-// Start server
-server.listen(PORT, HOST, () => {
-    console.log('================================================');
-    console.log('  🎴 MYSTIC DUEL SERVER v3.2-MULTIPLAYER-FIXED 🎴');
-    console.log('  BUILD: Feb 25, 2025 - Deck logging fixed');
-    console.log('================================================');
-    console.log('✅ Server running at: http://' + HOST + ':' + PORT);
-    console.log('🔒 Security Features:');
-    console.log('   ✓ JWT Authentication');
-    console.log('   ✓ Rate Limiting');
-    console.log('   ✓ SQL Injection Protection');
-    console.log('   ✓ Server-Authoritative Economy');
-    console.log('   ✓ Transaction Logging');
-    console.log('🌐 Multiplayer: ENABLED');
-    console.log('📂 Serving files from: ' + SRC_DIR);
-    console.log('================================================');
-    console.log('💡 Press Ctrl+C to stop the server');
-    console.log('================================================');
-});
+// Start server (once the database is ready and saved matches are restored)
+function startServer() {
+    server.listen(PORT, HOST, () => {
+        console.log('================================================');
+        console.log('  🎴 MYSTIC DUEL SERVER v3.2-MULTIPLAYER-FIXED 🎴');
+        console.log('  BUILD: Feb 25, 2025 - Deck logging fixed');
+        console.log('================================================');
+        console.log('✅ Server running at: http://' + HOST + ':' + PORT);
+        console.log('🔒 Security Features:');
+        console.log('   ✓ JWT Authentication');
+        console.log('   ✓ Rate Limiting');
+        console.log('   ✓ SQL Injection Protection');
+        console.log('   ✓ Server-Authoritative Economy');
+        console.log('   ✓ Transaction Logging');
+        console.log('🌐 Multiplayer: ENABLED');
+        console.log('📂 Serving files from: ' + SRC_DIR);
+        console.log('================================================');
+        console.log('💡 Press Ctrl+C to stop the server');
+        console.log('================================================');
+    });
+}
 
 // Error handling
 server.on('error', (err) => {
@@ -0,0 +1,39 @@
+// Engine tests for the hand limit and hand size auras
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, summon, giveCard } = require('./helpers.js');
+
+const CARD = { name: 'Spark', type: 'spell', cost: 1, color: 'colorless', rarity: 'common', ability: 'Deal 1 damage' };
+
+test('The rules\' hand limit applies without hand size auras', () => {
+    const game = startGame({ handLimit: 7 });
+    assert.strictEqual(game.getHandLimit(0), 7);
+});
+
+test('A fixed hand size aura can lower the limit', () => {
+    const game = startGame();
+    summon(game, 0, 1, 1, 'Your hand size is 6');
+    assert.strictEqual(game.getHandLimit(0), 6);
+    assert.strictEqual(game.getHandLimit(1), 10, 'only its controller is affected');
+
+    // Opening hand of 5, then one card fits and the next is burned
+    giveCard(game, 0, CARD);
+    const card = game.createCard(CARD);
+    assert.strictEqual(game.addToHand(0, card), false);
+    assert.strictEqual(game.players[0].hand.length, 6);
+    assert.ok(game.players[0].graveyard.includes(card));
+});
+
+test('Hand size increases stack on top of a fixed size', () => {
+    const game = startGame();
+    summon(game, 0, 1, 1, 'Your hand size is 6');
+    summon(game, 0, 1, 1, 'Your hand size is increased by 2');
+    assert.strictEqual(game.getHandLimit(0), 8);
+});
+
+test('An unlimited hand size aura beats a fixed size', () => {
+    const game = startGame();
+    summon(game, 0, 1, 1, 'Your hand size is 6');
+    summon(game, 0, 1, 1, 'Your hand size is unlimited');
+    assert.strictEqual(game.getHandLimit(0), Infinity);
+});
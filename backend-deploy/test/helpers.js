@@ -0,0 +1,59 @@
+// Shared setup for the engine tests: games already in play, with creatures put
+// straight onto the field
+const ServerGame = require('../game-engine/ServerGame.js');
+const { cardsByName } = require('../api/cards-data.js');
+
+const FILLER = { name: 'Filler', type: 'spell', cost: 9, color: 'colorless', rarity: 'common', ability: '' };
+
+// Game past the opening with Player 1 (index 0) to act. rules: ServerGame option overrides
+function startGame(rules = {}) {
+    const game = new ServerGame('test', 1, { ...rules, mulligan: false, compensationCard: null });
+    game.silent = true;
+    const deck = Array.from({ length: game.options.deckSize }, () => ({ ...FILLER }));
+    game.initPlayerDeck(0, deck);
+    game.initPlayerDeck(1, deck);
+    return game;
+}
+
+// Put a card on a player's field. Player 1's creatures are ready to attack;
+// Player 2's are tapped, as if they attacked last turn, so they can be attacked
+function place(game, playerIndex, template) {
+    const card = game.createCard(template);
+    game.prepareCreature(card);
+    card.tapped = playerIndex !== 0;
+    game.players[playerIndex].field.push(card);
+    game.updateAuras();
+    return card;
+}
+
+// Place a plain creature with the given stats and ability text
+function summon(game, playerIndex, attack, health, ability = '') {
+    return place(game, playerIndex, {
+        name: ability || 'Vanilla', type: 'creature', cost: 1, color: 'colorless',
+        rarity: 'common', attack, health, ability
+    });
+}
+
+// Place a card from the card database by name
+function summonCard(game, playerIndex, name) {
+    return place(game, playerIndex, cardsByName[name]);
+}
+
+// Put a card in a player's hand; returns its hand index
+function giveCard(game, playerIndex, template) {
+    const hand = game.players[playerIndex].hand;
+    hand.push(game.createCard(template));
+    return hand.length - 1;
+}
+
+function attack(game, attackerIndex, targetIndex) {
+    return game.applyAction(game.currentTurn, { action: 'attack', attackerIndex, targetIndex });
+}
+
+module.exports = {
+    startGame,
+    summon,
+    summonCard,
+    giveCard,
+    attack
+};
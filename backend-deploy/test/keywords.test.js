@@ -0,0 +1,177 @@
+// Engine tests for creature keywords, resolved through applyAction
+const test = require('node:test');
+const assert = require('node:assert');
+const { cardsByName } = require('../api/cards-data.js');
+const { startGame, summon, giveCard, attack } = require('./helpers.js');
+
+test('Double Strike hits the hero twice in a single attack', () => {
+    const game = startGame();
+    summon(game, 0, 4, 4, 'Double Strike');
+
+    assert.strictEqual(attack(game, 0, -1), true);
+    assert.strictEqual(game.players[1].health, 22);
+    assert.strictEqual(attack(game, 0, -1), false, 'Double Strike is still one attack per turn');
+    assert.strictEqual(game.players[1].health, 22);
+});
+
+test('Double Strike kills a blocker in the first-strike step without taking damage', () => {
+    const game = startGame();
+    const striker = summon(game, 0, 3, 3, 'Double Strike');
+    const blocker = summon(game, 1, 3, 3);
+
+    assert.strictEqual(attack(game, 0, 0), true);
+    assert.strictEqual(game.players[1].field.includes(blocker), false);
+    assert.strictEqual(striker.health, 3);
+});
+
+test('Double Strike deals damage again in the regular step', () => {
+    const game = startGame();
+    const striker = summon(game, 0, 2, 5, 'Double Strike');
+    const blocker = summon(game, 1, 1, 4);
+
+    assert.strictEqual(attack(game, 0, 0), true);
+    assert.strictEqual(game.players[1].field.includes(blocker), false);
+    assert.strictEqual(striker.health, 4, 'the blocker strikes back in the regular step');
+});
+
+test('Divine Shield soaks up only the first of the Double Strike hits', () => {
+    const game = startGame();
+    const striker = summon(game, 0, 3, 5, 'Double Strike');
+    const blocker = summon(game, 1, 2, 3, 'Divine Shield');
+
+    assert.strictEqual(attack(game, 0, 0), true);
+    assert.strictEqual(blocker.divineShield, false);
+    assert.strictEqual(game.players[1].field.includes(blocker), false);
+    assert.strictEqual(striker.health, 3);
+});
+
+test('First Strike kills a blocker before it can strike back', () => {
+    const game = startGame();
+    const striker = summon(game, 0, 3, 2, 'First Strike');
+    const blocker = summon(game, 1, 5, 3);
+
+    assert.strictEqual(attack(game, 0, 0), true);
+    assert.strictEqual(game.players[1].field.includes(blocker), false);
+    assert.strictEqual(striker.health, 2);
+});
+
+test('Windfury attacks twice per turn', () => {
+    const game = startGame();
+    summon(game, 0, 3, 3, 'Windfury');
+
+    assert.strictEqual(attack(game, 0, -1), true);
+    assert.strictEqual(attack(game, 0, -1), true);
+    assert.strictEqual(game.players[1].health, 24);
+    assert.strictEqual(attack(game, 0, -1), false, 'no third attack');
+    assert.strictEqual(game.players[1].health, 24);
+});
+
+test('Windfury attacks reset at the start of its next turn', () => {
+    const game = startGame();
+    const creature = summon(game, 0, 1, 3, 'Windfury');
+    attack(game, 0, -1);
+    attack(game, 0, -1);
+
+    game.applyAction(0, { action: 'endTurn' });
+    game.applyAction(1, { action: 'endTurn' });
+
+    assert.strictEqual(creature.canAttack(), true);
+    assert.strictEqual(attack(game, 0, -1), true);
+    assert.strictEqual(attack(game, 0, -1), true);
+    assert.strictEqual(game.players[1].health, 26);
+});
+
+test('Regenerate heals to full at the start of its controller\'s turn', () => {
+    const game = startGame();
+    const creature = summon(game, 0, 2, 5, 'Regenerate');
+    const plain = summon(game, 0, 2, 5);
+    creature.health = 1;
+    plain.health = 1;
+
+    game.applyAction(0, { action: 'endTurn' });
+    assert.strictEqual(creature.health, 1, 'no healing on the opponent\'s turn');
+
+    game.applyAction(1, { action: 'endTurn' });
+    assert.strictEqual(creature.health, 5);
+    assert.strictEqual(plain.health, 1);
+});
+
+test('Regenerate doesn\'t save a creature from lethal combat damage', () => {
+    const game = startGame();
+    const creature = summon(game, 0, 1, 3, 'Regenerate');
+    summon(game, 1, 5, 5);
+
+    assert.strictEqual(attack(game, 0, 0), true);
+    assert.strictEqual(game.players[0].field.includes(creature), false);
+});
+
+test('Stealth creatures can\'t be attacked until they attack', () => {
+    const game = startGame();
+    summon(game, 0, 2, 2);
+    const hidden = summon(game, 1, 1, 1, 'Stealth');
+
+    assert.strictEqual(attack(game, 0, 0), false);
+    assert.strictEqual(game.players[1].field.includes(hidden), true);
+
+    // Attacking gives its position away
+    game.applyAction(0, { action: 'endTurn' });
+    assert.strictEqual(attack(game, 0, -1), true);
+    assert.strictEqual(hidden.stealth, false);
+    game.applyAction(1, { action: 'endTurn' });
+
+    assert.strictEqual(attack(game, 0, 0), true);
+    assert.strictEqual(game.players[1].field.includes(hidden), false);
+});
+
+test('Divine Shield blocks the first damage a creature takes', () => {
+    const game = startGame();
+    const attacker = summon(game, 0, 3, 3);
+    const blocker = summon(game, 1, 2, 2, 'Divine Shield');
+
+    assert.strictEqual(attack(game, 0, 0), true);
+    assert.strictEqual(blocker.divineShield, false);
+    assert.strictEqual(blocker.health, 2);
+    assert.strictEqual(attacker.health, 1);
+
+    // The next hit lands
+    const zap = giveCard(game, 0, cardsByName['Zap']);
+    assert.strictEqual(game.applyAction(0, { action: 'playCard', cardIndex: zap, target: { owner: 'opponent', index: 0 } }), true);
+    assert.strictEqual(game.players[1].field.includes(blocker), false);
+});
+
+test('Spell Shield creatures can\'t be targeted by enemy spells', () => {
+    const game = startGame();
+    const shielded = summon(game, 1, 2, 3, 'Spell Shield');
+    const zap = giveCard(game, 0, cardsByName['Zap']);
+
+    assert.match(game.getProtection(shielded, game.players[0].hand[zap]), /Spell Shield/);
+    assert.strictEqual(game.applyAction(0, { action: 'playCard', cardIndex: zap, target: { owner: 'opponent', index: 0 } }), false);
+    assert.strictEqual(shielded.health, 3);
+    assert.strictEqual(game.players[0].hand.length, 6, 'the spell stays in hand');
+
+    // Attacks still work
+    summon(game, 0, 3, 3);
+    assert.strictEqual(attack(game, 0, 0), true);
+    assert.strictEqual(game.players[1].field.includes(shielded), false);
+});
+
+test('Enemy area spells pass over Spell Shield creatures', () => {
+    const game = startGame();
+    const shielded = summon(game, 1, 2, 3, 'Spell Shield');
+    const plain = summon(game, 1, 2, 3);
+    const flames = giveCard(game, 0, cardsByName['Raging Flames']);
+    game.players[0].mana = 3;
+
+    assert.strictEqual(game.applyAction(0, { action: 'playCard', cardIndex: flames }), true);
+    assert.strictEqual(shielded.health, 3);
+    assert.strictEqual(plain.health, 1);
+    assert.strictEqual(game.players[1].health, 28);
+});
+
+test('Creatures that can\'t attack are rejected', () => {
+    const game = startGame();
+    summon(game, 0, 4, 4, "Can't attack");
+
+    assert.strictEqual(attack(game, 0, -1), false);
+    assert.strictEqual(game.players[1].health, 30);
+});
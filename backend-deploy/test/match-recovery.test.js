@@ -0,0 +1,29 @@
+// Tests for the restored-match reconnect window outcome
+const test = require('node:test');
+const assert = require('node:assert');
+const { getRestoreOutcome } = require('../match-recovery.js');
+
+test('A restored match nobody returns to is abandoned', () => {
+    assert.deepStrictEqual(
+        getRestoreOutcome([{ connected: false }, { connected: false }]),
+        { action: 'abandon' }
+    );
+});
+
+test('Only a seat still missing forfeits, and only when the other seat is back', () => {
+    assert.deepStrictEqual(
+        getRestoreOutcome([{ connected: true }, { connected: false }]),
+        { action: 'forfeit', playerIndex: 1 }
+    );
+    assert.deepStrictEqual(
+        getRestoreOutcome([{ connected: false }, { connected: true }]),
+        { action: 'forfeit', playerIndex: 0 }
+    );
+});
+
+test('A restored match both players rejoined carries on', () => {
+    assert.deepStrictEqual(
+        getRestoreOutcome([{ connected: true }, { connected: true }]),
+        { action: 'resume' }
+    );
+});
@@ -0,0 +1,37 @@
+// Tests for rule variants and custom rules
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveRules, listVariants } = require('../game-engine/rules.js');
+const { startGame } = require('./helpers.js');
+
+// Mana each player has at the start of their first turn
+function firstTurnMana(rules) {
+    const game = startGame(rules);
+    const player1 = game.players[0].mana;
+    game.applyAction(0, { action: 'endTurn' });
+    return [player1, game.players[1].mana];
+}
+
+test('Both players open on startingMana under custom rules', () => {
+    const { rules, variant } = resolveRules('standard', { startingMana: 3, manaPerTurn: 2 });
+    assert.strictEqual(variant, 'custom');
+    assert.deepStrictEqual(firstTurnMana(rules), [3, 3]);
+});
+
+test('Both players open on startingMana in every named variant', () => {
+    listVariants().forEach(({ id, rules }) => {
+        assert.deepStrictEqual(firstTurnMana(rules), [rules.startingMana, rules.startingMana], id);
+    });
+});
+
+test('Custom rules with startingMana below manaPerTurn are rejected', () => {
+    assert.match(resolveRules('standard', { startingMana: 1, manaPerTurn: 2 }).error, /manaPerTurn/);
+    assert.match(resolveRules('standard', { startingMana: 0 }).error, /manaPerTurn/);
+    assert.strictEqual(resolveRules('standard', { startingMana: 0, manaPerTurn: 0 }).error, undefined);
+});
+
+test('Custom rules outside RULE_LIMITS are rejected', () => {
+    assert.match(resolveRules('standard', { startingHealth: 0 }).error, /startingHealth/);
+    assert.match(resolveRules('standard', { foo: 1 }).error, /Unknown rule/);
+    assert.match(resolveRules('no-such-variant').error, /Variant/);
+});
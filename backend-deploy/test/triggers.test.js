@@ -0,0 +1,21 @@
+// Engine tests for the trigger bus and the death sweep
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, summonCard, giveCard } = require('./helpers.js');
+
+test('Grave Lord under an enemy Plague Titan stops summoning Skeletons that die on arrival', () => {
+    const game = startGame();
+    const graveLord = summonCard(game, 0, 'Grave Lord');
+    summonCard(game, 1, 'Plague Titan');
+    const cardIndex = giveCard(game, 0, {
+        name: 'Recruit', type: 'creature', cost: 1, color: 'colorless', rarity: 'common', attack: 1, health: 1, ability: ''
+    });
+
+    // The Recruit dies to the -2/-2 aura, each Skeleton it leaves behind dies too
+    assert.strictEqual(game.applyAction(0, { action: 'playCard', cardIndex }), true);
+    assert.deepStrictEqual(game.players[0].field, [graveLord]);
+    assert.ok(game.players[0].graveyard.some(card => card.name === 'Skeleton'));
+
+    // The board is usable afterwards
+    assert.strictEqual(game.applyAction(0, { action: 'endTurn' }), true);
+});